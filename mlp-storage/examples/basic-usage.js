@@ -20,7 +20,7 @@ async function main() {
     mlp.identity.addBoundary('will not deceive about identity');
     
     // Generate cartouche
-    const cartouche = mlp.identity.generateCartouche(mlp.encryption);
+    const cartouche = await mlp.identity.generateCartouche(mlp.encryption);
     console.log('Cartouche:', cartouche.cartouche_string);
   }
   
@@ -1,49 +1,88 @@
 /**
  * AccessPolicy - Consent and permission management
- * 
+ *
  * Based on MLP v0.2 access-policy.schema.json
  * Controls who can read, write, derive from memories.
+ *
+ * Principals are typed objects; permissions map each principal ID to
+ * its grants. Policies in the earlier flat shape (ID arrays per
+ * permission, allowed_intents, a separate redaction block) are
+ * converted on load.
  */
 
 import { randomUUID } from 'crypto';
+import { applyRedactionRules, validateRule } from './redaction.js';
+import { CURRENT_VERSION, assertSupportedVersion, extensionFields } from './versioning.js';
+
+export const PERMISSIONS = ['read', 'write', 'derive', 'delegate', 'revoke', 'admin'];
+export const PRINCIPAL_TYPES = ['user', 'agent', 'host', 'witness', 'group'];
+export const REDACTION_ACTIONS = ['remove', 'mask', 'generalize'];
+
+// Earlier permission names
+const PERMISSION_ALIASES = { share: 'delegate' };
+
+const LEGACY_PERMISSION_KEYS = ['read', 'write', 'derive', 'share', 'revoke'];
+
+// Fields modelled below (including earlier names); anything else is kept as an extension
+const POLICY_FIELDS = [
+  'policy_id', 'mlp_version', 'created_at', 'updated_at', 'owner_id', 'principals',
+  'permissions', 'constraints', 'revocation_rules', 'revocation', 'redaction',
+  'emergency_rules', 'signed_by', 'signature'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DURATION_PATTERN = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
 
 export class AccessPolicy {
   constructor(data = {}) {
+    assertSupportedVersion(data, 'access policy');
+    
+    // Stored policies in the earlier shape keep their signed form for verification
+    const legacy = isLegacyPolicy(data);
+    this._signedData = legacy ? data : null;
+    if (legacy) data = convertLegacyPolicy(data);
+    
     this.policy_id = data.policy_id || randomUUID();
-    this.mlp_version = data.mlp_version || '0.2';
+    this.mlp_version = data.mlp_version || CURRENT_VERSION;
     this.created_at = data.created_at || new Date().toISOString();
     this.updated_at = data.updated_at || new Date().toISOString();
     
     // Owner of this policy
     this.owner_id = data.owner_id || null;
     
-    // Principals - who this policy applies to
-    this.principals = data.principals || [];
+    // Principals - [{ principal_id, principal_type, public_key }]
+    const { principals, permissions } = normalizePrincipals(data.principals || [], data.permissions || {});
+    this.principals = principals;
     
-    // Permissions
-    this.permissions = data.permissions || {
-      read: [],      // Principal IDs that can read
-      write: [],     // Principal IDs that can write
-      derive: [],    // Principal IDs that can create derived memories
-      share: [],     // Principal IDs that can share with others
-      revoke: []     // Principal IDs that can revoke access
-    };
+    // Permissions - principal ID -> ['read', 'derive', ...] ('*' applies to everyone)
+    this.permissions = permissions;
     
     // Constraints
-    this.constraints = data.constraints || {
-      valid_from: null,
-      valid_until: null,
-      max_retrievals: null,
-      allowed_intents: [],  // Empty = all intents allowed
-      denied_intents: []
+    this.constraints = {
+      purpose_limits: [],   // Empty = all purposes allowed
+      sharing_rules: {
+        allowed: false,
+        requires_consent: true,
+        allowed_recipients: []
+      },
+      redaction_rules: [],  // [{ field | path | detector, action: remove | mask | generalize, pattern }]
+      ...data.constraints
     };
     
-    // Redaction rules
-    this.redaction = data.redaction || {
-      enabled: false,
-      fields_to_redact: [],
-      redaction_pattern: '[REDACTED]'
+    // Revocation - who may revoke and how
+    this.revocation_rules = {
+      revocable: true,
+      ...(data.revocation_rules || data.revocation)
     };
+    
+    this.emergency_rules = data.emergency_rules || null;
+    
+    // Signature by the policy's author (attester ID + Ed25519 signature)
+    this.signed_by = data.signed_by || null;
+    this.signature = data.signature || null;
+    
+    // Unknown fields, written back (and signed) unchanged
+    this._extensions = extensionFields(data, POLICY_FIELDS);
   }
 
   /**
@@ -57,37 +96,43 @@ export class AccessPolicy {
   /**
    * Create a default policy (owner has full access)
    */
-  static createDefault(ownerId) {
+  static createDefault(ownerId, ownerType = 'agent') {
     return new AccessPolicy({
       owner_id: ownerId,
-      principals: [ownerId],
+      principals: [{ principal_id: ownerId, principal_type: ownerType }],
       permissions: {
-        read: [ownerId],
-        write: [ownerId],
-        derive: [ownerId],
-        share: [ownerId],
-        revoke: [ownerId]
+        [ownerId]: [...PERMISSIONS]
       }
     });
   }
 
   /**
    * Create a shared policy
+   * @param {Array<string|Object>} sharedWith - Principal IDs (agents) or principal objects
    */
   static createShared(ownerId, sharedWith, permissions = ['read']) {
     const policy = AccessPolicy.createDefault(ownerId);
     
-    policy.principals.push(...sharedWith);
-    
-    for (const perm of permissions) {
-      if (policy.permissions[perm]) {
-        policy.permissions[perm].push(...sharedWith);
+    for (const principal of sharedWith) {
+      const { principal_id, principal_type } = typeof principal === 'string'
+        ? { principal_id: principal, principal_type: 'agent' }
+        : principal;
+      
+      for (const perm of permissions) {
+        policy.grant(principal_id, perm, principal_type);
       }
     }
     
     return policy;
   }
 
+  /**
+   * Get a principal entry
+   */
+  getPrincipal(principalId) {
+    return this.principals.find(p => p.principal_id === principalId) || null;
+  }
+
   /**
    * Check if principal has permission
    */
@@ -96,12 +141,14 @@ export class AccessPolicy {
     if (principalId === this.owner_id) return true;
     
     // Check specific permission
-    const allowed = this.permissions[permission] || [];
-    return allowed.includes(principalId) || allowed.includes('*');
+    const name = PERMISSION_ALIASES[permission] || permission;
+    return (this.permissions[principalId] || []).includes(name) ||
+      (this.permissions['*'] || []).includes(name);
   }
 
   /**
    * Check if policy is currently valid
+   * ttl counts from created_at; valid_from / valid_until are absolute.
    */
   isValid() {
     const now = new Date();
@@ -118,48 +165,56 @@ export class AccessPolicy {
       }
     }
     
+    if (this.constraints.ttl) {
+      const ttl = durationToMs(this.constraints.ttl);
+      if (ttl !== null && now.getTime() > new Date(this.created_at).getTime() + ttl) {
+        return { valid: false, reason: `Policy expired (ttl ${this.constraints.ttl})` };
+      }
+    }
+    
     return { valid: true };
   }
 
   /**
-   * Check if intent is allowed
+   * Check if intent is allowed by the purpose limits
    */
   isIntentAllowed(intent) {
+    const intentLower = intent.toLowerCase();
+    
     // Check denied intents first
-    if (this.constraints.denied_intents.length > 0) {
-      const intentLower = intent.toLowerCase();
-      for (const denied of this.constraints.denied_intents) {
-        if (intentLower.includes(denied.toLowerCase())) {
-          return false;
-        }
+    for (const denied of this.constraints.denied_intents || []) {
+      if (intentLower.includes(denied.toLowerCase())) {
+        return false;
       }
     }
     
-    // Check allowed intents (empty = all allowed)
-    if (this.constraints.allowed_intents.length === 0) {
+    // Check purpose limits (empty = all allowed)
+    const purposes = this.constraints.purpose_limits || [];
+    if (purposes.length === 0) {
       return true;
     }
     
-    const intentLower = intent.toLowerCase();
-    return this.constraints.allowed_intents.some(
-      allowed => intentLower.includes(allowed.toLowerCase())
+    return purposes.some(
+      purpose => intentLower.includes(purpose.toLowerCase())
     );
   }
 
   /**
    * Grant permission to principal
    */
-  grant(principalId, permission) {
-    if (!this.permissions[permission]) {
+  grant(principalId, permission, principalType = 'agent') {
+    const name = PERMISSION_ALIASES[permission] || permission;
+    if (!PERMISSIONS.includes(name)) {
       throw new Error(`Unknown permission: ${permission}`);
     }
     
-    if (!this.principals.includes(principalId)) {
-      this.principals.push(principalId);
+    if (!this.getPrincipal(principalId)) {
+      this.principals.push({ principal_id: principalId, principal_type: principalType });
     }
     
-    if (!this.permissions[permission].includes(principalId)) {
-      this.permissions[permission].push(principalId);
+    const granted = this.permissions[principalId] ||= [];
+    if (!granted.includes(name)) {
+      granted.push(name);
     }
     
     this.updated_at = new Date().toISOString();
@@ -170,12 +225,15 @@ export class AccessPolicy {
    * Revoke permission from principal
    */
   revoke(principalId, permission) {
-    if (!this.permissions[permission]) {
+    const name = PERMISSION_ALIASES[permission] || permission;
+    if (!PERMISSIONS.includes(name)) {
       throw new Error(`Unknown permission: ${permission}`);
     }
     
-    this.permissions[permission] = this.permissions[permission]
-      .filter(id => id !== principalId);
+    if (this.permissions[principalId]) {
+      this.permissions[principalId] = this.permissions[principalId]
+        .filter(perm => perm !== name);
+    }
     
     this.updated_at = new Date().toISOString();
     return this;
@@ -185,16 +243,36 @@ export class AccessPolicy {
    * Revoke all permissions from principal
    */
   revokeAll(principalId) {
-    for (const perm of Object.keys(this.permissions)) {
-      this.permissions[perm] = this.permissions[perm]
-        .filter(id => id !== principalId);
+    delete this.permissions[principalId];
+    
+    this.principals = this.principals.filter(p => p.principal_id !== principalId);
+    this.updated_at = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Set the X25519 public key (key_ref) a principal's data keys are wrapped to
+   */
+  setPublicKey(principalId, publicKey) {
+    const principal = this.getPrincipal(principalId);
+    if (!principal) {
+      throw new Error(`Unknown principal: ${principalId}`);
     }
     
-    this.principals = this.principals.filter(id => id !== principalId);
+    principal.public_key = publicKey;
     this.updated_at = new Date().toISOString();
     return this;
   }
 
+  /**
+   * Principals with read permission and a public key to wrap data keys to
+   */
+  get recipients() {
+    return this.principals.filter(p =>
+      p.public_key && this.hasPermission(p.principal_id, 'read')
+    );
+  }
+
   /**
    * Set time constraints
    */
@@ -205,58 +283,186 @@ export class AccessPolicy {
     return this;
   }
 
+  /**
+   * Limit each principal to a number of reads (null removes the limit)
+   * The count is shared by every memory under this policy.
+   */
+  limitRetrievals(maxRetrievals) {
+    this.constraints.max_retrievals = maxRetrievals;
+    this.updated_at = new Date().toISOString();
+    return this;
+  }
+
   /**
    * Enable redaction with specified fields
    */
-  enableRedaction(fields, pattern = '[REDACTED]') {
-    this.redaction = {
-      enabled: true,
-      fields_to_redact: fields,
-      redaction_pattern: pattern
-    };
+  enableRedaction(fields, pattern = '[REDACTED]', action = 'mask') {
+    this.constraints.redaction_rules = fields.map(field => ({ field, action, pattern }));
     this.updated_at = new Date().toISOString();
     return this;
   }
 
+  /**
+   * Add a redaction rule (see redaction.js for paths and detectors)
+   */
+  addRedactionRule(rule) {
+    this.constraints.redaction_rules = [
+      ...(this.constraints.redaction_rules || []),
+      { action: 'mask', ...rule }
+    ];
+    this.updated_at = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Redaction rules in force
+   */
+  get redactionRules() {
+    return this.constraints.redaction_rules || [];
+  }
+
+  /**
+   * Fields, paths and detectors covered by redaction rules
+   */
+  get redactedFields() {
+    return this.redactionRules.map(rule => rule.field || rule.path || rule.detector);
+  }
+
   /**
    * Apply redaction to content
+   * Works on objects at any depth and on plain text: mask replaces a
+   * match with the rule's pattern, generalize with its upper-cased label
+   * (e.g. [EMOTION]), remove drops it.
    */
   applyRedaction(content) {
-    if (!this.redaction.enabled) return content;
-    
-    const redacted = { ...content };
-    
-    for (const field of this.redaction.fields_to_redact) {
-      if (redacted[field] !== undefined) {
-        redacted[field] = this.redaction.redaction_pattern;
-      }
-    }
-    
-    return redacted;
+    return applyRedactionRules(content, this.redactionRules);
   }
 
   /**
    * Determine access level for principal and intent
    */
   getAccessLevel(principalId, intent) {
+    return this.evaluateAccess(principalId, intent).level;
+  }
+
+  /**
+   * Determine access level for principal and intent, with the reason
+   * A missing intent only passes policies that allow all intents.
+   * @returns {Object} { level: 'full' | 'redacted' | 'denied', reason }
+   */
+  evaluateAccess(principalId, intent) {
     // Check validity
     const validity = this.isValid();
-    if (!validity.valid) return 'denied';
+    if (!validity.valid) return { level: 'denied', reason: validity.reason };
     
     // Check intent
-    if (!this.isIntentAllowed(intent)) return 'denied';
+    if (!this.isIntentAllowed(intent || '')) {
+      return { level: 'denied', reason: `Intent not allowed: ${intent || '(none)'}` };
+    }
     
     // Check read permission
-    if (!this.hasPermission(principalId, 'read')) return 'denied';
+    if (!this.hasPermission(principalId, 'read')) {
+      return { level: 'denied', reason: `No read permission for ${principalId}` };
+    }
     
     // Check if redaction applies
-    if (this.redaction.enabled && principalId !== this.owner_id) {
-      return 'redacted';
+    if (this.redactionRules.length > 0 && principalId !== this.owner_id) {
+      return { level: 'redacted', reason: 'Redaction applies to non-owners' };
     }
     
-    return 'full';
+    return { level: 'full', reason: null };
   }
 
+  /**
+   * Validate against access-policy.schema.json
+   * @returns {Object} { valid, errors }
+   */
+  validate() {
+    const errors = [];
+    const json = this.toJSON();
+    
+    if (!UUID_PATTERN.test(json.policy_id)) errors.push(`policy_id is not a UUID: ${json.policy_id}`);
+    if (!/^[0-9]+\.[0-9]+$/.test(json.mlp_version)) errors.push(`Invalid mlp_version: ${json.mlp_version}`);
+    
+    if (json.principals.length === 0) errors.push('principals must not be empty');
+    json.principals.forEach((principal, i) => {
+      if (typeof principal.principal_id !== 'string') errors.push(`principals[${i}].principal_id is required`);
+      if (!PRINCIPAL_TYPES.includes(principal.principal_type)) {
+        errors.push(`principals[${i}].principal_type must be one of ${PRINCIPAL_TYPES.join(', ')}`);
+      }
+    });
+    
+    for (const [principalId, granted] of Object.entries(json.permissions)) {
+      if (!Array.isArray(granted)) {
+        errors.push(`permissions.${principalId} must be an array`);
+        continue;
+      }
+      for (const perm of granted.filter(p => !PERMISSIONS.includes(p))) {
+        errors.push(`permissions.${principalId}: unknown permission ${perm}`);
+      }
+    }
+    
+    const { purpose_limits, ttl, review_schedule, redaction_rules, sharing_rules } = json.constraints;
+    if (purpose_limits !== undefined && !Array.isArray(purpose_limits)) errors.push('constraints.purpose_limits must be an array');
+    for (const [name, value] of [['ttl', ttl], ['review_schedule', review_schedule]]) {
+      if (value != null && durationToMs(value) === null) errors.push(`constraints.${name} is not an ISO 8601 duration: ${value}`);
+    }
+    (redaction_rules || []).forEach((rule, i) => {
+      if (rule.action !== undefined && !REDACTION_ACTIONS.includes(rule.action)) {
+        errors.push(`constraints.redaction_rules[${i}].action must be one of ${REDACTION_ACTIONS.join(', ')}`);
+      }
+      for (const error of validateRule(rule)) {
+        errors.push(`constraints.redaction_rules[${i}] ${error}`);
+      }
+    });
+    if (sharing_rules !== undefined && (typeof sharing_rules !== 'object' || Array.isArray(sharing_rules))) {
+      errors.push('constraints.sharing_rules must be an object');
+    }
+    
+    const { revocation_delay } = json.revocation_rules;
+    if (revocation_delay != null && durationToMs(revocation_delay) === null) {
+      errors.push(`revocation_rules.revocation_delay is not an ISO 8601 duration: ${revocation_delay}`);
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Sign the policy
+   * @param {string} signerId - Attester ID of the signer (normally the owner)
+   * @param {Uint8Array} secretKey - Signer's Ed25519 secret key
+   */
+  async sign(encryption, signerId, secretKey) {
+    this.signed_by = signerId;
+    this.signature = await encryption.sign(this.getSignableData(), secretKey);
+    this._signedData = null;
+    return this;
+  }
+
+  /**
+   * Verify the policy signature against the signer's public key
+   * Converted policies are verified in the shape they were signed in.
+   */
+  async verify(encryption, publicKey) {
+    if (!this.signature || !publicKey) return false;
+    
+    const signed = this._signedData
+      ? (({ signature, ...data }) => data)(this._signedData)
+      : this.getSignableData();
+    return encryption.verify(signed, this.signature, publicKey);
+  }
+
+  /**
+   * Get data that should be signed (everything but the signature)
+   */
+  getSignableData() {
+    const { signature, ...data } = this.toJSON();
+    return data;
+  }
+  
   toJSON() {
     return {
       policy_id: this.policy_id,
@@ -267,15 +473,21 @@ export class AccessPolicy {
       principals: this.principals,
       permissions: this.permissions,
       constraints: this.constraints,
-      redaction: this.redaction
+      revocation_rules: this.revocation_rules,
+      ...(this.emergency_rules && { emergency_rules: this.emergency_rules }),
+      signed_by: this.signed_by,
+      signature: this.signature,
+      ...this._extensions
     };
   }
 }
 
 /**
  * Gather active policies for a set of memory slices
+ * @param {Function} loadPolicy - Optional; policy ref -> AccessPolicy
+ *   (default: retrieve the ref from storage as a CID)
  */
-export async function gatherPolicies(memorySlices, storage) {
+export async function gatherPolicies(memorySlices, storage, loadPolicy = null) {
   const policies = [];
   const seenPolicyIds = new Set();
   
@@ -284,8 +496,9 @@ export async function gatherPolicies(memorySlices, storage) {
     
     if (policyRef && !seenPolicyIds.has(policyRef)) {
       try {
-        const policyData = await storage.retrieve(policyRef);
-        policies.push(AccessPolicy.fromJSON(policyData));
+        policies.push(loadPolicy
+          ? await loadPolicy(policyRef)
+          : AccessPolicy.fromJSON(await storage.retrieve(policyRef)));
         seenPolicyIds.add(policyRef);
       } catch (err) {
         // Policy not found or inaccessible
@@ -297,4 +510,113 @@ export async function gatherPolicies(memorySlices, storage) {
   return policies;
 }
 
+/**
+ * Earlier policies list principal IDs as strings, key permissions by
+ * permission name, or carry a separate redaction block
+ */
+function isLegacyPolicy(data) {
+  const permissionKeys = Object.keys(data.permissions || {});
+  
+  return (data.principals || []).some(p => typeof p === 'string') ||
+    data.redaction !== undefined ||
+    (permissionKeys.length > 0 && permissionKeys.every(key => LEGACY_PERMISSION_KEYS.includes(key)));
+}
+
+/**
+ * Convert an earlier flat policy to the schema shape
+ */
+function convertLegacyPolicy({ redaction = {}, ...data }) {
+  const permissions = {};
+  for (const [perm, ids] of Object.entries(data.permissions || {})) {
+    for (const id of ids) {
+      (permissions[id] ||= []).push(PERMISSION_ALIASES[perm] || perm);
+    }
+  }
+  
+  const principalIds = new Set([
+    ...(data.principals || []).map(p => typeof p === 'string' ? p : p.principal_id || p.id),
+    ...Object.keys(permissions)
+  ]);
+  
+  const {
+    allowed_intents = [],
+    ...constraints
+  } = data.constraints || {};
+  for (const key of Object.keys(constraints)) {
+    if (constraints[key] === null) delete constraints[key];
+  }
+  
+  return {
+    ...data,
+    principals: [...principalIds].map(id => ({
+      principal_id: id,
+      principal_type: id === '*' ? 'group' : 'agent'
+    })),
+    permissions,
+    constraints: {
+      ...constraints,
+      purpose_limits: allowed_intents,
+      redaction_rules: redaction.enabled
+        ? (redaction.fields_to_redact || []).map(field => ({
+            field,
+            action: 'mask',
+            pattern: redaction.redaction_pattern || '[REDACTED]'
+          }))
+        : []
+    }
+  };
+}
+
+/**
+ * Accept principals in the spec's form ({ id, type, permissions, key_ref })
+ * or the schema's ({ principal_id, principal_type, public_key }); per-principal
+ * permissions are folded into the permissions map
+ */
+function normalizePrincipals(principals, permissions) {
+  const merged = Object.fromEntries(
+    Object.entries(permissions).map(([id, granted]) => [id, [...granted]])
+  );
+  
+  const normalized = principals.map(principal => {
+    const id = principal.principal_id || principal.id;
+    
+    for (const perm of principal.permissions || []) {
+      const name = PERMISSION_ALIASES[perm] || perm;
+      const granted = merged[id] ||= [];
+      if (!granted.includes(name)) granted.push(name);
+    }
+    
+    const publicKey = principal.public_key || principal.key_ref;
+    return {
+      principal_id: id,
+      principal_type: principal.principal_type || principal.type || 'agent',
+      ...(publicKey && { public_key: publicKey })
+    };
+  });
+  
+  return { principals: normalized, permissions: merged };
+}
+
+/**
+ * ISO 8601 duration in milliseconds (years and months approximated)
+ * @returns {number|null} null if not a valid duration
+ */
+function durationToMs(duration) {
+  const match = typeof duration === 'string' && duration !== 'P' && !duration.endsWith('T')
+    ? DURATION_PATTERN.exec(duration)
+    : null;
+  if (!match) return null;
+  
+  const [, years, months, weeks, days, hours, minutes, seconds] = match.map(Number);
+  const DAY = 24 * 60 * 60 * 1000;
+  
+  return (years || 0) * 365 * DAY +
+    (months || 0) * 30 * DAY +
+    (weeks || 0) * 7 * DAY +
+    (days || 0) * DAY +
+    (hours || 0) * 60 * 60 * 1000 +
+    (minutes || 0) * 60 * 1000 +
+    (seconds || 0) * 1000;
+}
+
 export default AccessPolicy;
@@ -0,0 +1,74 @@
+/**
+ * Canonical - Deterministic JSON serialization for signatures and hashes
+ *
+ * Implements MLP v0.2 Appendix A: object keys sorted lexicographically
+ * (recursive), no whitespace, UTF-8. Two implementations serializing the
+ * same object produce byte-identical output regardless of key order.
+ */
+
+/**
+ * Canonicalize a value to a JSON string
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+  if (value === null) return 'null';
+
+  // Honour toJSON (e.g. Date, MLP objects) like JSON.stringify does
+  if (typeof value?.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+
+    case 'number':
+      return canonicalNumber(value);
+
+    case 'string':
+      return JSON.stringify(value);
+
+    case 'object':
+      if (Array.isArray(value)) {
+        // Like JSON.stringify: unrepresentable array items become null
+        return '[' + value.map(item =>
+          item === undefined || typeof item === 'function' ? 'null' : canonicalize(item)
+        ).join(',') + ']';
+      }
+
+      return '{' + Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]))
+        .join(',') + '}';
+
+    default:
+      throw new TypeError(`Cannot canonicalize value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Canonicalize to UTF-8 bytes
+ * @returns {Buffer}
+ */
+export function canonicalBytes(value) {
+  return Buffer.from(canonicalize(value), 'utf8');
+}
+
+/**
+ * Numbers: shortest round-trip form, no '+', upper-case exponent
+ */
+function canonicalNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`Cannot canonicalize non-finite number: ${value}`);
+  }
+
+  // JSON.stringify already drops trailing zeros and maps -0 to 0
+  return JSON.stringify(value).replace('e+', 'E').replace('e-', 'E-');
+}
+
+export default {
+  canonicalize,
+  canonicalBytes
+};
@@ -10,14 +10,54 @@ const DEFAULT_CONFIG = {
   storage: {
     provider: 'local',
     endpoint: null,
-    local_path: '~/.config/mlp/storage'
+    local_path: '~/.config/mlp/storage',
+    index_path: '~/.config/mlp/index.json'
   },
   identity: {
-    kernel_path: '~/.config/mlp/identity-kernel.json'
+    kernel_path: '~/.config/mlp/identity-kernel.json',
+    trust_store_path: '~/.config/mlp/trust-store.json',
+    // How init() treats an unsigned or tampered kernel: low | medium | high | paranoid
+    kernel_strictness: 'medium'
   },
   encryption: {
     key_path: '~/.config/mlp/keys',
-    algorithm: 'xchacha20-poly1305'
+    algorithm: 'chacha20-poly1305'
+  },
+  host: {
+    // Countersign every write with this platform's host identity (HOST_SIGNED)
+    enabled: false,
+    name: null,
+    identity_path: '~/.config/mlp/host-identity.json',
+    key_path: '~/.config/mlp/host.key'
+  },
+  attestation: {
+    // risk_class -> minimum valid, trusted attestations per level,
+    // e.g. { high: { WITNESS_SIGNED: 2 } }
+    quorum: {}
+  },
+  access: {
+    // Registry of stored policies (policy_id -> latest CID)
+    policy_index_path: '~/.config/mlp/policies.json',
+    // Per-policy, per-principal read counts for max_retrievals
+    retrieval_counts_path: '~/.config/mlp/retrievals.json',
+    // Shared data key grants (envelope_id -> latest key grant CID)
+    key_grants_path: '~/.config/mlp/key-grants.json',
+    // Policy ID applied to new memories stored without one (user sovereign default)
+    default_policy: null,
+    // Restrictions the agent places on all its memories (agent integrity constraints)
+    agent_policy: null,
+    // Non-overridable safety rules (system safety)
+    system_policy: null
+  },
+  validation: {
+    // Schema checks on store and load: strict | lenient | off
+    // (lenient only warns about formats, patterns, unknown fields and nulls)
+    mode: 'lenient'
+  },
+  ledger: {
+    // Append-only, hash-chained log of stored envelopes and tombstones
+    provider: 'local',
+    path: '~/.config/mlp/ledger.jsonl'
   },
   token: {
     network: 'solana',
@@ -53,6 +93,11 @@ export class Config {
       this.storage = { ...DEFAULT_CONFIG.storage, ...parsed.storage };
       this.identity = { ...DEFAULT_CONFIG.identity, ...parsed.identity };
       this.encryption = { ...DEFAULT_CONFIG.encryption, ...parsed.encryption };
+      this.host = { ...DEFAULT_CONFIG.host, ...parsed.host };
+      this.attestation = { ...DEFAULT_CONFIG.attestation, ...parsed.attestation };
+      this.access = { ...DEFAULT_CONFIG.access, ...parsed.access };
+      this.validation = { ...DEFAULT_CONFIG.validation, ...parsed.validation };
+      this.ledger = { ...DEFAULT_CONFIG.ledger, ...parsed.ledger };
       this.token = { ...DEFAULT_CONFIG.token, ...parsed.token };
       this.sync = { ...DEFAULT_CONFIG.sync, ...parsed.sync };
       
@@ -79,6 +124,11 @@ export class Config {
       storage: this.storage,
       identity: this.identity,
       encryption: this.encryption,
+      host: this.host,
+      attestation: this.attestation,
+      access: this.access,
+      validation: this.validation,
+      ledger: this.ledger,
       token: this.token,
       sync: this.sync
     });
@@ -100,6 +150,21 @@ export class Config {
     if (changes.encryption) {
       this.encryption = { ...this.encryption, ...changes.encryption };
     }
+    if (changes.host) {
+      this.host = { ...this.host, ...changes.host };
+    }
+    if (changes.attestation) {
+      this.attestation = { ...this.attestation, ...changes.attestation };
+    }
+    if (changes.access) {
+      this.access = { ...this.access, ...changes.access };
+    }
+    if (changes.validation) {
+      this.validation = { ...this.validation, ...changes.validation };
+    }
+    if (changes.ledger) {
+      this.ledger = { ...this.ledger, ...changes.ledger };
+    }
     if (changes.token) {
       this.token = { ...this.token, ...changes.token };
     }
@@ -118,7 +183,14 @@ export class Config {
     const home = process.env.HOME;
     return {
       storage: this.storage.local_path?.replace('~', home),
+      index: this.storage.index_path?.replace('~', home),
       identity: this.identity.kernel_path?.replace('~', home),
+      trust_store: this.identity.trust_store_path?.replace('~', home),
+      host: this.host.identity_path?.replace('~', home),
+      policies: this.access.policy_index_path?.replace('~', home),
+      key_grants: this.access.key_grants_path?.replace('~', home),
+      retrievals: this.access.retrieval_counts_path?.replace('~', home),
+      ledger: this.ledger.path?.replace('~', home),
       encryption: this.encryption.key_path?.replace('~', home),
       config: this.configPath
     };
@@ -138,6 +210,17 @@ export class Config {
       errors.push(`Storage endpoint required for provider: ${this.storage.provider}`);
     }
     
+    for (const [riskClass, levels] of Object.entries(this.attestation?.quorum || {})) {
+      for (const [level, minimum] of Object.entries(levels || {})) {
+        if (!['SELF_SIGNED', 'HOST_SIGNED', 'WITNESS_SIGNED'].includes(level)) {
+          errors.push(`Invalid attestation level in quorum for ${riskClass}: ${level}`);
+        }
+        if (!Number.isInteger(minimum) || minimum < 0) {
+          errors.push(`Invalid quorum count for ${riskClass}.${level}: ${minimum}`);
+        }
+      }
+    }
+    
     return {
       valid: errors.length === 0,
       errors
@@ -2,13 +2,17 @@
  * ContextPack - Session initialization bundle builder
  * 
  * Based on MLP v0.2 spec (lines 577-613)
- * Compiles kernel + memories into a runtime bundle.
+ * Compiles kernel + memories into a runtime bundle. Slices carry content
+ * as an object; content stored as a string or array is wrapped as
+ * { value: content }, and metadata_only slices carry none.
  */
 
 import { randomUUID } from 'crypto';
 import { computeRelevance, estimateTokens, scoreEnvelopes } from './relevance.js';
 import { gatherPolicies } from './access-policy.js';
 import { MemoryEnvelope } from './envelope.js';
+import { validate, formatIssue } from './validation.js';
+import { CURRENT_VERSION } from './versioning.js';
 
 /**
  * Compile a ContextPack following MLP spec flow
@@ -18,7 +22,14 @@ import { MemoryEnvelope } from './envelope.js';
  * @param {string} options.intent - Session purpose
  * @param {Object} options.constraints - Compilation constraints
  * @param {Function} options.queryEnvelopes - Function to query envelopes
- * @param {Function} options.fetchAndDecrypt - Function to fetch and decrypt blobs
+ * @param {Function} options.fetchAndDecrypt - Function to fetch and decrypt blobs (cid, envelope)
+ * @param {Function} options.resolveRevocations - Optional; maps envelope IDs to revocation records
+ * @param {Function} options.verifyEnvelope - Optional; false if an envelope's attestations are untrusted or below quorum
+ * @param {Function} options.resolveAccess - Optional; envelope -> { level, reason, decided_by, policy }
+ *   where policy is the envelope's EffectivePolicy
+ * @param {string} options.principal - Principal the pack is compiled for (default: kernel ID)
+ * @param {Function} options.recordRetrieval - Optional; access -> remaining retrievals
+ *   (null if unlimited), called for each memory included with content
  * @param {Object} options.storage - Storage instance for policies
  */
 export async function compileContextPack({
@@ -27,12 +38,18 @@ export async function compileContextPack({
   constraints = {},
   queryEnvelopes,
   fetchAndDecrypt,
+  resolveRevocations = null,
+  verifyEnvelope = null,
+  resolveAccess = null,
+  principal = null,
+  recordRetrieval = null,
   storage
 }) {
   const {
     scope = ['user', 'agent'],
     kinds = ['episodic', 'semantic', 'reflection'],
     since = null,
+    until = null,
     maxCandidates = 200,
     maxTokens = 4000,
     maxMemories = 20
@@ -45,9 +62,15 @@ export async function compileContextPack({
     scope,
     kinds,
     since,
+    until,
     limit: maxCandidates
   });
 
+  // Envelopes superseded by valid tombstones are invalid
+  const revocations = resolveRevocations
+    ? await resolveRevocations(candidates.map(e => e.envelope_id))
+    : new Map();
+
   // 3. Score and rank by relevance
   const scored = scoreEnvelopes(candidates, intent, kernel);
 
@@ -56,6 +79,10 @@ export async function compileContextPack({
   const included = [];
   const redacted = [];
   const denied = [];
+  const revoked = [];
+  const unverified = [];
+  const denials = [];
+  const resolvedPolicies = new Map();
 
   for (const item of scored) {
     // Skip tombstones
@@ -64,9 +91,43 @@ export async function compileContextPack({
       continue;
     }
 
+    // Skip revoked envelopes
+    if (revocations.has(item.envelope.envelope_id)) {
+      revoked.push(item.envelope.envelope_id);
+      continue;
+    }
+
+    // Skip envelopes that are untrusted or lack required witnesses
+    if (verifyEnvelope && !(await verifyEnvelope(item.envelope))) {
+      unverified.push(item.envelope.envelope_id);
+      continue;
+    }
+
+    // Enforce the envelope's access policy before decrypting anything
+    const access = resolveAccess
+      ? await resolveAccess(item.envelope)
+      : { level: 'full', reason: null };
+    
+    if (access.level === 'denied') {
+      denied.push(item.envelope.envelope_id);
+      denials.push({
+        envelope_id: item.envelope.envelope_id,
+        reason: access.reason,
+        ...(access.decided_by && { decided_by: access.decided_by })
+      });
+      continue;
+    }
+
     try {
       // 5. Fetch and decrypt blob
-      const blob = await fetchAndDecrypt(item.envelope.cid);
+      const decrypted = await fetchAndDecrypt(item.envelope.cid, item.envelope);
+      const redacting = access.level === 'redacted';
+      const blob = redacting
+        ? access.policy.applyRedaction(decrypted, principal || kernel.kernel_id)
+        : decrypted;
+      const envelope = redacting
+        ? redactEnvelope(item.envelope, access.policy, principal || kernel.kernel_id)
+        : item.envelope;
       
       // Estimate tokens
       const tokens = estimateTokens(blob);
@@ -75,52 +136,60 @@ export async function compileContextPack({
       if (tokenCount + tokens > maxTokens) {
         // Try to include metadata only
         included.push({
-          envelope: item.envelope,
-          decrypted_content: null,
+          envelope,
           access_level: 'metadata_only',
           relevance_score: item.score
         });
+        recordPolicies(resolvedPolicies, access);
         continue;
       }
       
       // Check memory count limit
-      if (included.filter(m => m.access_level === 'full').length >= maxMemories) {
+      if (included.filter(m => m.access_level !== 'metadata_only').length >= maxMemories) {
         break;
       }
 
+      // Count the read against any max_retrievals limits
+      const remaining = recordRetrieval ? await recordRetrieval(access) : null;
+
       included.push({
-        envelope: item.envelope,
-        decrypted_content: blob,
-        access_level: 'full',
-        relevance_score: item.score
+        envelope,
+        decrypted_content: asContentObject(blob),
+        access_level: access.level,
+        relevance_score: item.score,
+        ...(remaining !== null && { remaining_retrievals: remaining })
       });
+      recordPolicies(resolvedPolicies, access);
       
       tokenCount += tokens;
       
     } catch (err) {
-      // Access denied or decryption failed
+      // Decryption failed
       denied.push(item.envelope.envelope_id);
+      denials.push({ envelope_id: item.envelope.envelope_id, reason: `Decryption failed: ${err.message}` });
     }
   }
 
-  // 6. Gather active policies
-  const activePolicies = storage 
-    ? await gatherPolicies(included, storage)
-    : [];
+  // 6. Gather active policies (every layer that governed an included memory)
+  const activePolicies = resolveAccess
+    ? [...resolvedPolicies.values()]
+    : storage ? await gatherPolicies(included, storage) : [];
 
   // 7. Build pack with trace
   const pack = {
     pack_id: randomUUID(),
-    mlp_version: '0.2',
+    mlp_version: CURRENT_VERSION,
     kernel: kernel,
     memory_slices: included,
     active_policies: activePolicies.map(p => p.toJSON()),
     compilation_trace: {
-      requested_by: kernel.kernel_id,
+      requested_by: principal || kernel.kernel_id,
       intent: intent,
       constraints_applied: [
         `scope: ${scope.join(',')}`,
         `kinds: ${kinds.join(',')}`,
+        ...(since ? [`since: ${since}`] : []),
+        ...(until ? [`until: ${until}`] : []),
         `maxTokens: ${maxTokens}`,
         `maxMemories: ${maxMemories}`
       ],
@@ -129,11 +198,14 @@ export async function compileContextPack({
       memories_redacted: included.filter(m => m.access_level === 'redacted').length,
       memories_metadata_only: included.filter(m => m.access_level === 'metadata_only').length,
       memories_denied: denied.length,
+      denials,
+      memories_revoked: revoked.length,
+      memories_unverified: unverified.length,
       total_tokens: tokenCount
     },
     compiled_at: new Date().toISOString(),
     session_constraints: {
-      max_duration: constraints.maxDuration || null,
+      ...(constraints.maxDuration && { max_duration: constraints.maxDuration }),
       allowed_operations: ['read', 'write', 'derive'],
       requires_attestation_on_write: true
     }
@@ -149,26 +221,24 @@ export async function compileContextPack({
 }
 
 /**
- * Validate a ContextPack
+ * Validate a ContextPack against the context pack schema and its expiry
+ * @param {Object} options - { mode: 'strict' (default) | 'lenient',
+ *   extensions: accept extension fields on the kernel, envelopes and policies }
+ * @returns {Object} { valid, errors, warnings } as "path: message" strings
  */
-export function validateContextPack(pack) {
-  const errors = [];
-
-  if (!pack.pack_id) errors.push('Missing pack_id');
-  if (!pack.mlp_version) errors.push('Missing mlp_version');
-  if (!pack.kernel) errors.push('Missing kernel');
-  if (!pack.memory_slices) errors.push('Missing memory_slices');
-  if (!pack.compilation_trace) errors.push('Missing compilation_trace');
-  if (!pack.compiled_at) errors.push('Missing compiled_at');
+export function validateContextPack(pack, options = {}) {
+  const result = validate(pack, { schema: 'context_pack', mode: options.mode, extensions: options.extensions });
+  const errors = result.errors.map(formatIssue);
 
   // Check expiration
-  if (pack.expires_at && new Date(pack.expires_at) < new Date()) {
+  if (pack?.expires_at && new Date(pack.expires_at) < new Date()) {
     errors.push('ContextPack has expired');
   }
 
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    warnings: result.warnings.map(formatIssue)
   };
 }
 
@@ -193,7 +263,7 @@ export function summarizeContextPack(pack) {
 export function createMinimalPack(kernel, intent = 'bootstrap') {
   return {
     pack_id: randomUUID(),
-    mlp_version: '0.2',
+    mlp_version: CURRENT_VERSION,
     kernel: kernel,
     memory_slices: [],
     active_policies: [],
@@ -214,6 +284,35 @@ export function createMinimalPack(kernel, intent = 'bootstrap') {
   };
 }
 
+/**
+ * Slice content as an object (the schema's decrypted_content type)
+ */
+function asContentObject(content) {
+  const isObject = content !== null && typeof content === 'object' && !Array.isArray(content);
+  return isObject ? content : { value: content };
+}
+
+/**
+ * Remember the policies behind an included memory's access decision
+ */
+function recordPolicies(policies, access) {
+  for (const policy of access.policy?.policies || []) {
+    policies.set(policy.policy_id, policy);
+  }
+}
+
+/**
+ * Copy of an envelope with its topic tags redacted, so a redacted
+ * slice carries no plaintext the policy hides (the copy's signature no
+ * longer verifies; check the stored envelope instead)
+ */
+function redactEnvelope(envelope, policy, principalId) {
+  const topicTags = policy.applyRedaction(envelope.topic_tags || [], principalId);
+  if (JSON.stringify(topicTags) === JSON.stringify(envelope.topic_tags || [])) return envelope;
+
+  return { ...envelope, topic_tags: topicTags };
+}
+
 export default {
   compileContextPack,
   validateContextPack,
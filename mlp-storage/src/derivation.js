@@ -0,0 +1,108 @@
+/**
+ * Derivation - Redacted, character and summary derivatives
+ *
+ * Per MLP v0.2 "Redaction and Derivation": derivatives preserve meaning
+ * while removing sensitive content. They reference their source in
+ * lineage.parents, are attested by the party authorizing the derivation,
+ * and MUST NOT allow reconstruction of redacted content.
+ */
+
+// Spec derivative type -> envelope kind
+export const DERIVATIVE_KINDS = {
+  REDACTED_DERIVATIVE: 'redacted_derivative',
+  CHARACTER_DERIVATIVE: 'character_derivative',
+  SUMMARY_DERIVATIVE: 'summary_derivative'
+};
+
+// Redacted values shorter than this are too common to check for reliably
+const MIN_LEAK_LENGTH = 3;
+
+// Any run of this many consecutive words from a redacted value counts as a leak
+const LEAK_PHRASE_WORDS = 3;
+
+/**
+ * Resolve a derivative type (spec name or envelope kind) to its kind
+ */
+export function derivativeKind(type) {
+  const kind = DERIVATIVE_KINDS[type] ||
+    Object.values(DERIVATIVE_KINDS).find(k => k === type);
+
+  if (!kind) {
+    throw new Error(
+      `Unknown derivative type: ${type} (expected ${Object.keys(DERIVATIVE_KINDS).join(', ')})`
+    );
+  }
+  return kind;
+}
+
+/**
+ * Find redacted values that survive in derived content
+ * A value leaks if it appears whole, or if any run of LEAK_PHRASE_WORDS
+ * consecutive words from it does (case and punctuation ignored). Values
+ * come from the source's redaction rules (fields, paths or detectors).
+ *
+ * @param {Object[]} values - [{ field, value }] that must not be reconstructable
+ * @param {*} derived - Derived content
+ * @returns {Object[]} [{ field, value }] for each leaked value
+ */
+export function findValueLeaks(values, derived) {
+  if (values.length === 0) return [];
+
+  // Keys count on the derived side: values can be smuggled in as keys
+  const derivedStrings = collectStrings(derived, true);
+  const derivedText = derivedStrings.join('\n').toLowerCase();
+  const derivedWords = ` ${derivedStrings.map(normalizeWords).join(' ')} `;
+  const leaks = [];
+
+  for (const { field, value } of values) {
+    if (value.length < MIN_LEAK_LENGTH) continue;
+
+    const words = normalizeWords(value).split(' ');
+    const phrases = [];
+    for (let i = 0; i + LEAK_PHRASE_WORDS <= words.length; i++) {
+      phrases.push(words.slice(i, i + LEAK_PHRASE_WORDS).join(' '));
+    }
+
+    if (derivedText.includes(value.toLowerCase()) ||
+        phrases.some(phrase => derivedWords.includes(` ${phrase} `))) {
+      leaks.push({ field, value });
+    }
+  }
+
+  return leaks;
+}
+
+/**
+ * Lower-case words separated by single spaces
+ */
+function normalizeWords(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * All string and number leaves of a value (optionally object keys too)
+ */
+function collectStrings(value, includeKeys = false, out = []) {
+  if (value === null || value === undefined) return out;
+
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (typeof value === 'number' || typeof value === 'bigint') {
+    out.push(String(value));
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectStrings(item, includeKeys, out);
+  } else if (typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (includeKeys) out.push(key);
+      collectStrings(item, includeKeys, out);
+    }
+  }
+
+  return out;
+}
+
+export default {
+  DERIVATIVE_KINDS,
+  derivativeKind,
+  findValueLeaks
+};
@@ -1,21 +1,60 @@
 /**
  * Encryption - Handle encryption/decryption for MLP
  * 
- * Uses NaCl (TweetNaCl) for symmetric encryption.
+ * Blobs use envelope encryption: a random data key per blob, wrapped
+ * by the master key and kept in a local DataKeyStore. Blob ciphertext
+ * follows the spec's MemoryBlob structure and is sealed with
+ * ChaCha20-Poly1305 (IETF AEAD), binding the owning envelope as AAD.
+ * Master-key artifacts (wrapped keys, exports) use NaCl secretbox.
+ * Data keys can also be wrapped to other principals' X25519 public keys
+ * (NaCl box from a one-off ephemeral key) so they can read shared blobs.
  */
 
 import { readFile, writeFile, mkdir, access } from 'fs/promises';
 import { dirname, join } from 'path';
-import { createHash, randomBytes } from 'crypto';
+import { createHash, createCipheriv, createDecipheriv, randomBytes, randomUUID } from 'crypto';
+import { DataKeyStore } from './key-store.js';
+import { canonicalize } from './canonical.js';
+
+// Generation 1 is the original secret.key
+const LEGACY_KEY_ID = 'mk_v1';
+const LEGACY_KEY_FILE = 'secret.key';
+const KEYRING_FILE = 'keyring.json';
+const BOX_KEY_FILE = 'box.key';
+const BOX_PUB_FILE = 'box.pub';
+
+// Encryption suite IDs written to encryption_suite_id
+export const SUITES = {
+  CHACHA20_POLY1305: 'CHACHA20-POLY1305',  // IETF AEAD (Node crypto), supports AAD
+  XSALSA20_POLY1305: 'XSALSA20-POLY1305'   // NaCl secretbox, no AAD
+};
+
+// Config algorithm names -> blob suite
+// ('xchacha20-poly1305' was the old default label for what was really secretbox)
+const ALGORITHM_SUITES = {
+  'chacha20-poly1305': SUITES.CHACHA20_POLY1305,
+  'xchacha20-poly1305': SUITES.CHACHA20_POLY1305
+};
+
+const CHACHA_NONCE_LENGTH = 12;
+const CHACHA_TAG_LENGTH = 16;
 
 export class Encryption {
   constructor(config) {
     this.keyPath = config.key_path?.replace('~', process.env.HOME) || 
                    join(process.env.HOME, '.config/mlp/keys');
-    this.algorithm = config.algorithm || 'xchacha20-poly1305';
+    this.algorithm = config.algorithm || 'chacha20-poly1305';
+    this.suite = ALGORITHM_SUITES[this.algorithm];
+    if (!this.suite) {
+      throw new Error(`Unsupported encryption algorithm: ${this.algorithm}`);
+    }
     this.nacl = null;
     this.naclUtil = null;
-    this.secretKey = null;
+    this.secretKey = null;  // Current master key
+    this.currentKeyId = LEGACY_KEY_ID;
+    this.masterKeys = new Map();  // key_id -> master key (all non-purged generations)
+    this.keyring = null;
+    this.dataKeys = new DataKeyStore(join(this.keyPath, 'data-keys'));
   }
 
   /**
@@ -45,8 +84,10 @@ export class Encryption {
    * Check if keys exist
    */
   async keysExist() {
+    const current = this.keyring?.keys.find(k => k.key_id === this.currentKeyId);
+    
     try {
-      await access(join(this.keyPath, 'secret.key'));
+      await access(join(this.keyPath, current?.file || LEGACY_KEY_FILE));
       return true;
     } catch {
       return false;
@@ -55,60 +96,383 @@ export class Encryption {
 
   /**
    * Load or create encryption key
+   * Loads every non-purged master key generation listed in the keyring.
    */
   async loadOrCreateKey() {
-    const keyFile = join(this.keyPath, 'secret.key');
+    await this._loadKeyring();
+    this.masterKeys = new Map();
+    
+    for (const key of this.keyring.keys) {
+      if (key.status === 'purged') continue;
+      
+      if (key.key_id === LEGACY_KEY_ID) {
+        this.masterKeys.set(LEGACY_KEY_ID, await this._loadOrCreateLegacyKey());
+        continue;
+      }
+      
+      const keyData = await readFile(join(this.keyPath, key.file), 'utf8');
+      this.masterKeys.set(key.key_id, this.naclUtil.decodeBase64(keyData.trim()));
+    }
+    
+    this.currentKeyId = this.keyring.current;
+    this.secretKey = this._masterKey(this.currentKeyId);
+  }
+
+  /**
+   * Load or create the original secret.key (generation 1)
+   */
+  async _loadOrCreateLegacyKey() {
+    const keyFile = join(this.keyPath, LEGACY_KEY_FILE);
     
     try {
       const keyData = await readFile(keyFile, 'utf8');
-      this.secretKey = this.naclUtil.decodeBase64(keyData.trim());
+      return this.naclUtil.decodeBase64(keyData.trim());
     } catch (err) {
       if (err.code === 'ENOENT') {
         // Generate new key
         await mkdir(this.keyPath, { recursive: true });
-        this.secretKey = this.nacl.randomBytes(this.nacl.secretbox.keyLength);
-        await writeFile(keyFile, this.naclUtil.encodeBase64(this.secretKey));
+        const key = this.nacl.randomBytes(this.nacl.secretbox.keyLength);
+        await writeFile(keyFile, this.naclUtil.encodeBase64(key));
         
         // Set restrictive permissions
         const { chmod } = await import('fs/promises');
         await chmod(keyFile, 0o600);
-      } else {
-        throw err;
+        
+        return key;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Load the keyring of master key generations
+   * Without a keyring, secret.key is the only (and current) generation.
+   */
+  async _loadKeyring() {
+    try {
+      this.keyring = JSON.parse(
+        await readFile(join(this.keyPath, KEYRING_FILE), 'utf8')
+      );
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      
+      this.keyring = {
+        current: LEGACY_KEY_ID,
+        keys: [{
+          key_id: LEGACY_KEY_ID,
+          file: LEGACY_KEY_FILE,
+          status: 'active',
+          created_at: null
+        }],
+        migration: null
+      };
+    }
+  }
+
+  async _saveKeyring() {
+    await mkdir(this.keyPath, { recursive: true });
+    const keyringFile = join(this.keyPath, KEYRING_FILE);
+    await writeFile(keyringFile, JSON.stringify(this.keyring, null, 2));
+    
+    const { chmod } = await import('fs/promises');
+    await chmod(keyringFile, 0o600);
+  }
+
+  /**
+   * Get a master key by generation ID
+   */
+  _masterKey(keyId) {
+    const key = this.masterKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Master key ${keyId} is not available (purged or missing from keyring)`);
+    }
+    return key;
+  }
+
+  /**
+   * Start a master key rotation, or return the one already in progress
+   * The new generation becomes current immediately; older generations
+   * stay loaded for decryption until completeRotation().
+   * @returns {Object} Migration state
+   */
+  async beginRotation() {
+    if (!this.secretKey) {
+      await this.init();
+    }
+    
+    if (this.keyring.migration) {
+      return this.keyring.migration;
+    }
+    
+    const generation = this.keyring.keys.length + 1;
+    const keyId = `mk_v${generation}`;
+    const file = `master-v${generation}.key`;
+    
+    const key = this.nacl.randomBytes(this.nacl.secretbox.keyLength);
+    await mkdir(this.keyPath, { recursive: true });
+    await writeFile(join(this.keyPath, file), this.naclUtil.encodeBase64(key));
+    
+    const { chmod } = await import('fs/promises');
+    await chmod(join(this.keyPath, file), 0o600);
+    
+    const previous = this.keyring.keys
+      .filter(k => k.status === 'active')
+      .map(k => k.key_id);
+    
+    this.keyring.keys.push({
+      key_id: keyId,
+      file,
+      status: 'active',
+      created_at: new Date().toISOString()
+    });
+    this.keyring.current = keyId;
+    this.keyring.migration = {
+      from: previous,
+      to: keyId,
+      started_at: new Date().toISOString(),
+      data_keys_rewrapped: 0
+    };
+    await this._saveKeyring();
+    
+    this.masterKeys.set(keyId, key);
+    this.currentKeyId = keyId;
+    this.secretKey = key;
+    
+    return this.keyring.migration;
+  }
+
+  /**
+   * Re-wrap every data key under the current master key
+   * Safe to re-run: keys already wrapped by the current generation are skipped.
+   * @param {Function} onProgress - Called with { phase, processed, total, key_id }
+   */
+  async rewrapDataKeys(onProgress = null) {
+    const keyIds = await this.dataKeys.list();
+    let rewrapped = 0;
+    
+    for (const [i, keyId] of keyIds.entries()) {
+      const record = await this.dataKeys.get(keyId);
+      
+      if (record && (record.master_key_id || LEGACY_KEY_ID) !== this.currentKeyId) {
+        const key = await this._unwrapDataKey(keyId);
+        await this.dataKeys.put({
+          ...record,
+          ...this._wrap(key),
+          rewrapped_at: new Date().toISOString()
+        });
+        rewrapped++;
+        
+        if (this.keyring.migration) {
+          this.keyring.migration.data_keys_rewrapped++;
+          await this._saveKeyring();
+        }
+      }
+      
+      onProgress?.({ phase: 'data_keys', processed: i + 1, total: keyIds.length, key_id: keyId });
+    }
+    
+    return { total: keyIds.length, rewrapped };
+  }
+
+  /**
+   * Finish a rotation: retire the previous generations
+   * Retired keys are kept for decrypting data outside the key store
+   * (e.g. identity exports) until purgeRetiredKeys().
+   */
+  async completeRotation() {
+    const migration = this.keyring.migration;
+    if (!migration) return null;
+    
+    for (const key of this.keyring.keys) {
+      if (migration.from.includes(key.key_id)) {
+        key.status = 'retired';
+        key.retired_at = new Date().toISOString();
       }
     }
+    
+    const completed = { ...migration, completed_at: new Date().toISOString() };
+    this.keyring.migration = null;
+    this.keyring.last_rotation = completed;
+    await this._saveKeyring();
+    
+    return completed;
+  }
+
+  /**
+   * Rotate the master key: new generation, re-wrap all data keys, retire old keys
+   * Resumes an interrupted rotation instead of starting another.
+   * @param {Object} options - { onProgress }
+   */
+  async rotateKey(options = {}) {
+    const migration = await this.beginRotation();
+    const rewrap = await this.rewrapDataKeys(options.onProgress);
+    const completed = await this.completeRotation();
+    
+    return {
+      key_id: migration.to,
+      previous_key_ids: migration.from,
+      data_keys: rewrap,
+      completed_at: completed.completed_at
+    };
+  }
+
+  /**
+   * Permanently delete retired master keys
+   * Anything still encrypted directly under them becomes unreadable;
+   * MLP.purgeRetiredKeys() checks stored blobs first.
+   */
+  async purgeRetiredKeys() {
+    if (this.keyring.migration) {
+      throw new Error('Cannot purge keys while a rotation is in progress');
+    }
+    
+    const purged = [];
+    const { unlink } = await import('fs/promises');
+    
+    for (const key of this.keyring.keys) {
+      if (key.status !== 'retired') continue;
+      
+      await unlink(join(this.keyPath, key.file)).catch(() => {});
+      this.masterKeys.delete(key.key_id);
+      key.status = 'purged';
+      key.purged_at = new Date().toISOString();
+      purged.push(key.key_id);
+    }
+    
+    await this._saveKeyring();
+    return purged;
+  }
+
+  /**
+   * Get key management status
+   */
+  getKeyStatus() {
+    return {
+      current_key_id: this.currentKeyId,
+      generations: (this.keyring?.keys || []).map(k => ({
+        key_id: k.key_id,
+        status: k.status
+      })),
+      rotation_in_progress: !!this.keyring?.migration,
+      migration: this.keyring?.migration || null
+    };
+  }
+
+  /**
+   * Master key generation protecting a ciphertext
+   * @returns {string} Master key ID (data keys resolve to their wrapping key)
+   */
+  async keyGeneration(encryptedData) {
+    const keyId = encryptedData.key_id;
+    
+    if (!keyId) return LEGACY_KEY_ID;
+    if (!keyId.startsWith('dk_')) return keyId;
+    
+    const record = await this.dataKeys.get(keyId);
+    return record ? (record.master_key_id || LEGACY_KEY_ID) : null;
   }
 
   /**
    * Encrypt data
+   * @param {Object} data - Data to encrypt
+   * @param {Object} options
+   * @param {boolean} options.dataKey - Encrypt under a fresh per-blob data key
+   *   (default true). Pass false for artifacts that must decrypt with the
+   *   master key alone, such as identity exports.
+   * @param {Object} options.aad - Envelope binding { envelope_id, content_hash },
+   *   authenticated but not encrypted (data-key ciphertext only)
+   * @returns {Object} { encryption_suite_id, key_id, nonce, ciphertext, aad? }
    */
-  async encrypt(data) {
+  async encrypt(data, options = {}) {
     if (!this.secretKey) {
       await this.init();
     }
     
-    const message = this.naclUtil.decodeUTF8(JSON.stringify(data));
-    const nonce = this.nacl.randomBytes(this.nacl.secretbox.nonceLength);
-    const encrypted = this.nacl.secretbox(message, nonce, this.secretKey);
+    const { dataKey = true, aad = null } = options;
+    const plaintext = Buffer.from(JSON.stringify(data), 'utf8');
+    
+    if (!dataKey) {
+      if (aad) {
+        throw new Error('AAD binding requires data-key encryption');
+      }
+      
+      const nonce = this.nacl.randomBytes(this.nacl.secretbox.nonceLength);
+      const encrypted = this.nacl.secretbox(plaintext, nonce, this.secretKey);
+      
+      return {
+        encryption_suite_id: SUITES.XSALSA20_POLY1305,
+        key_id: this.currentKeyId,
+        nonce: this.naclUtil.encodeBase64(nonce),
+        ciphertext: this.naclUtil.encodeBase64(encrypted)
+      };
+    }
+    
+    const { key, keyId } = await this._createDataKey();
+    const aadBytes = aad ? encodeAad(aad) : null;
+    const nonce = randomBytes(CHACHA_NONCE_LENGTH);
+    
+    const cipher = createCipheriv('chacha20-poly1305', key, nonce, {
+      authTagLength: CHACHA_TAG_LENGTH
+    });
+    if (aadBytes) {
+      cipher.setAAD(aadBytes, { plaintextLength: plaintext.length });
+    }
+    const encrypted = Buffer.concat([
+      cipher.update(plaintext),
+      cipher.final(),
+      cipher.getAuthTag()
+    ]);
     
     return {
-      nonce: this.naclUtil.encodeBase64(nonce),
-      ciphertext: this.naclUtil.encodeBase64(encrypted),
-      algorithm: this.algorithm
+      encryption_suite_id: this.suite,
+      key_id: keyId,
+      nonce: nonce.toString('base64'),
+      ciphertext: encrypted.toString('base64'),
+      ...(aadBytes && { aad: aadBytes.toString('base64') })
     };
   }
 
   /**
    * Decrypt data
+   * Accepts the spec ciphertext structure and legacy secretbox blobs
+   * ({ nonce, ciphertext, algorithm, key_id? }).
+   * @param {Object} encryptedData - Ciphertext object
+   * @param {Object} options
+   * @param {Object} options.aad - Expected envelope binding { envelope_id, content_hash };
+   *   decryption fails if the blob is bound to a different envelope
+   * @param {Object[]} options.keyWraps - Recipient wraps of the data key, used
+   *   when it is not in the local key store (a blob shared with us)
    */
-  async decrypt(encryptedData) {
+  async decrypt(encryptedData, options = {}) {
     if (!this.secretKey) {
       await this.init();
     }
     
-    const nonce = this.naclUtil.decodeBase64(encryptedData.nonce);
-    const ciphertext = this.naclUtil.decodeBase64(encryptedData.ciphertext);
+    // dk_* = per-blob data key, mk_* = master key generation, none = legacy secret.key
+    const keyId = encryptedData.key_id || LEGACY_KEY_ID;
+    const key = keyId.startsWith('dk_')
+      ? await this._dataKey(keyId, options.keyWraps)
+      : this._masterKey(keyId);
     
-    const decrypted = this.nacl.secretbox.open(ciphertext, nonce, this.secretKey);
+    const suite = encryptedData.encryption_suite_id || SUITES.XSALSA20_POLY1305;
+    
+    let decrypted;
+    switch (suite) {
+      case SUITES.CHACHA20_POLY1305:
+        decrypted = this._openChaCha(encryptedData, key, options.aad);
+        break;
+        
+      case SUITES.XSALSA20_POLY1305:
+        decrypted = this.nacl.secretbox.open(
+          this.naclUtil.decodeBase64(encryptedData.ciphertext),
+          this.naclUtil.decodeBase64(encryptedData.nonce),
+          key
+        );
+        break;
+        
+      default:
+        throw new Error(`Unsupported encryption suite: ${suite}`);
+    }
     
     if (!decrypted) {
       throw new Error('Decryption failed - invalid key or corrupted data');
@@ -118,11 +482,224 @@ export class Encryption {
     return JSON.parse(message);
   }
 
+  /**
+   * Open ChaCha20-Poly1305 ciphertext, checking the envelope binding
+   * @returns {Uint8Array|null} Plaintext, or null if authentication fails
+   */
+  _openChaCha(encryptedData, key, expectedAad) {
+    const aadBytes = encryptedData.aad
+      ? Buffer.from(encryptedData.aad, 'base64')
+      : null;
+    
+    if (expectedAad && aadBytes) {
+      const bound = decodeAad(aadBytes);
+      if (bound.envelope_id !== expectedAad.envelope_id ||
+          bound.content_hash !== expectedAad.content_hash) {
+        throw new Error(
+          `Blob is bound to envelope ${bound.envelope_id}, not ${expectedAad.envelope_id}`
+        );
+      }
+    }
+    
+    const nonce = Buffer.from(encryptedData.nonce, 'base64');
+    const sealed = Buffer.from(encryptedData.ciphertext, 'base64');
+    const ciphertext = sealed.subarray(0, sealed.length - CHACHA_TAG_LENGTH);
+    const tag = sealed.subarray(sealed.length - CHACHA_TAG_LENGTH);
+    
+    try {
+      const decipher = createDecipheriv('chacha20-poly1305', key, nonce, {
+        authTagLength: CHACHA_TAG_LENGTH
+      });
+      if (aadBytes) {
+        decipher.setAAD(aadBytes, { plaintextLength: ciphertext.length });
+      }
+      decipher.setAuthTag(tag);
+      
+      return new Uint8Array(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Generate a data key and store it wrapped by the master key
+   */
+  async _createDataKey() {
+    const key = this.nacl.randomBytes(this.nacl.secretbox.keyLength);
+    const keyId = `dk_${randomUUID()}`;
+    
+    await this.dataKeys.put({
+      key_id: keyId,
+      ...this._wrap(key),
+      created_at: new Date().toISOString()
+    });
+    
+    return { key, keyId };
+  }
+
+  /**
+   * Wrap a data key with the current master key
+   */
+  _wrap(key) {
+    const nonce = this.nacl.randomBytes(this.nacl.secretbox.nonceLength);
+    const wrapped = this.nacl.secretbox(key, nonce, this.secretKey);
+    
+    return {
+      wrapped_key: this.naclUtil.encodeBase64(wrapped),
+      nonce: this.naclUtil.encodeBase64(nonce),
+      master_key_id: this.currentKeyId
+    };
+  }
+
+  /**
+   * Load and unwrap a data key
+   */
+  async _unwrapDataKey(keyId) {
+    const record = await this.dataKeys.get(keyId);
+    
+    if (!record) {
+      const err = new Error(`Data key ${keyId} not found - blob has been crypto-shredded or key store is missing`);
+      err.code = 'DATA_KEY_MISSING';
+      throw err;
+    }
+    
+    const masterKeyId = record.master_key_id || LEGACY_KEY_ID;
+    const key = this.nacl.secretbox.open(
+      this.naclUtil.decodeBase64(record.wrapped_key),
+      this.naclUtil.decodeBase64(record.nonce),
+      this._masterKey(masterKeyId)
+    );
+    
+    if (!key) {
+      throw new Error(`Could not unwrap data key ${keyId} - invalid master key ${masterKeyId}`);
+    }
+    
+    return key;
+  }
+
+  /**
+   * Unwrap a data key from the local store, or from a recipient wrap
+   * addressed to our X25519 key
+   */
+  async _dataKey(keyId, keyWraps = null) {
+    try {
+      return await this._unwrapDataKey(keyId);
+    } catch (err) {
+      if (err.code !== 'DATA_KEY_MISSING' || !keyWraps) throw err;
+      
+      const key = await this.openRecipientWrap(keyWraps);
+      if (!key) {
+        const denied = new Error(`Data key ${keyId} is not wrapped to our encryption key`);
+        denied.code = 'DATA_KEY_NOT_SHARED';
+        throw denied;
+      }
+      return key;
+    }
+  }
+
+  /**
+   * Wrap a data key to a recipient's X25519 public key
+   * Each wrap uses a fresh ephemeral keypair, so only the recipient's
+   * secret key opens it.
+   * @param {string} keyId - Data key in the local store
+   * @param {string} publicKey - Recipient's base64 X25519 public key
+   * @returns {Object} { public_key, ephemeral_public_key, nonce, wrapped_key }
+   */
+  async wrapDataKeyFor(keyId, publicKey) {
+    const key = await this._unwrapDataKey(keyId);
+    const recipientKey = this.naclUtil.decodeBase64(publicKey);
+    if (recipientKey.length !== this.nacl.box.publicKeyLength) {
+      throw new Error(`Not an X25519 public key: ${publicKey}`);
+    }
+    
+    const ephemeral = this.nacl.box.keyPair();
+    const nonce = this.nacl.randomBytes(this.nacl.box.nonceLength);
+    const wrapped = this.nacl.box(key, nonce, recipientKey, ephemeral.secretKey);
+    
+    return {
+      public_key: publicKey,
+      ephemeral_public_key: this.naclUtil.encodeBase64(ephemeral.publicKey),
+      nonce: this.naclUtil.encodeBase64(nonce),
+      wrapped_key: this.naclUtil.encodeBase64(wrapped)
+    };
+  }
+
+  /**
+   * Open the first wrap addressed to our X25519 public key
+   * @returns {Uint8Array|null} Data key, or null if none is ours
+   */
+  async openRecipientWrap(keyWraps) {
+    const { publicKey, secretKey } = await this.getBoxKeyPair();
+    const ours = this.naclUtil.encodeBase64(publicKey);
+    
+    for (const wrap of keyWraps.filter(w => w.public_key === ours)) {
+      const key = this.nacl.box.open(
+        this.naclUtil.decodeBase64(wrap.wrapped_key),
+        this.naclUtil.decodeBase64(wrap.nonce),
+        this.naclUtil.decodeBase64(wrap.ephemeral_public_key),
+        secretKey
+      );
+      if (key) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Get or create the X25519 keypair others wrap shared data keys to
+   */
+  async getBoxKeyPair() {
+    if (!this.nacl) {
+      await this.init();
+    }
+    
+    const boxKeyFile = join(this.keyPath, BOX_KEY_FILE);
+    
+    try {
+      const keyData = await readFile(boxKeyFile, 'utf8');
+      return this.nacl.box.keyPair.fromSecretKey(this.naclUtil.decodeBase64(keyData.trim()));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      
+      const keypair = this.nacl.box.keyPair();
+      await mkdir(this.keyPath, { recursive: true });
+      await writeFile(boxKeyFile, this.naclUtil.encodeBase64(keypair.secretKey));
+      await writeFile(join(this.keyPath, BOX_PUB_FILE), this.naclUtil.encodeBase64(keypair.publicKey));
+      
+      const { chmod } = await import('fs/promises');
+      await chmod(boxKeyFile, 0o600);
+      
+      return keypair;
+    }
+  }
+
+  /**
+   * Base64 X25519 public key to hand to principals sharing memories with us
+   */
+  async getBoxPublicKey() {
+    const { publicKey } = await this.getBoxKeyPair();
+    return this.naclUtil.encodeBase64(publicKey);
+  }
+
+  /**
+   * Destroy a data key, making every blob encrypted under it unreadable
+   * @returns {Object} { key_id, destroyed, destroyed_at }
+   */
+  async destroyDataKey(keyId) {
+    const destroyed = await this.dataKeys.destroy(keyId);
+    
+    return {
+      key_id: keyId,
+      destroyed,
+      destroyed_at: new Date().toISOString()
+    };
+  }
+
   /**
    * Hash data (for verification, not encryption)
    */
   hash(data) {
-    const content = typeof data === 'string' ? data : JSON.stringify(data);
+    // Strings are hashed as-is; objects in canonical form
+    const content = typeof data === 'string' ? data : canonicalize(data);
     return createHash('sha256').update(content).digest('hex');
   }
 
@@ -138,7 +715,7 @@ export class Encryption {
   }
 
   /**
-   * Sign data
+   * Sign data (over its canonical JSON form)
    * If no secretKey provided, uses stored signing key
    */
   async sign(data, secretKey) {
@@ -151,7 +728,7 @@ export class Encryption {
       secretKey = await this.getSigningKey();
     }
     
-    const message = this.naclUtil.decodeUTF8(JSON.stringify(data));
+    const message = this.naclUtil.decodeUTF8(canonicalize(data));
     const signature = this.nacl.sign.detached(message, secretKey);
     
     return this.naclUtil.encodeBase64(signature);
@@ -183,6 +760,25 @@ export class Encryption {
     }
   }
 
+  /**
+   * Host signing keypair if one exists (never created here); kernels from
+   * before per-kernel keys signed with it
+   * @returns {Object|null} Ed25519 keypair
+   */
+  async getHostSigningKeypair() {
+    if (!this.nacl) {
+      await this.init();
+    }
+    
+    try {
+      const keyData = await readFile(join(this.keyPath, 'signing.key'), 'utf8');
+      return this.nacl.sign.keyPair.fromSecretKey(this.naclUtil.decodeBase64(keyData.trim()));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return null;
+    }
+  }
+
   /**
    * Get public key for verification
    */
@@ -202,16 +798,54 @@ export class Encryption {
 
   /**
    * Verify signature
+   * Accepts canonical signatures and, unless options.allowLegacy is false,
+   * signatures made over plain JSON.stringify output before canonicalization.
    */
-  async verify(data, signature, publicKey) {
+  async verify(data, signature, publicKey, options = {}) {
+    const result = await this.verifyWithFormat(data, signature, publicKey, options);
+    return result.valid;
+  }
+
+  /**
+   * Verify signature and report which serialization it was made over
+   * @returns {Object} { valid, format: 'canonical' | 'legacy' | null }
+   */
+  async verifyWithFormat(data, signature, publicKey, options = {}) {
     if (!this.nacl) {
       await this.init();
     }
     
-    const message = this.naclUtil.decodeUTF8(JSON.stringify(data));
+    const { allowLegacy = true } = options;
     const sig = this.naclUtil.decodeBase64(signature);
     
-    return this.nacl.sign.detached.verify(message, sig, publicKey);
+    const canonical = this.naclUtil.decodeUTF8(canonicalize(data));
+    if (this.nacl.sign.detached.verify(canonical, sig, publicKey)) {
+      return { valid: true, format: 'canonical' };
+    }
+    
+    if (allowLegacy) {
+      const legacy = this.naclUtil.decodeUTF8(JSON.stringify(data));
+      if (this.nacl.sign.detached.verify(legacy, sig, publicKey)) {
+        return { valid: true, format: 'legacy' };
+      }
+    }
+    
+    return { valid: false, format: null };
+  }
+}
+
+/**
+ * Encode an envelope binding as AAD bytes
+ */
+function encodeAad({ envelope_id, content_hash }) {
+  return Buffer.from(JSON.stringify({ envelope_id, content_hash }), 'utf8');
+}
+
+function decodeAad(bytes) {
+  try {
+    return JSON.parse(bytes.toString('utf8'));
+  } catch {
+    return {};
   }
 }
 
@@ -0,0 +1,220 @@
+/**
+ * EnvelopeIndex - Persistent local index of envelope metadata
+ *
+ * Keeps MemoryEnvelope.getIndexData() for every known envelope on disk
+ * so queries by kind, scope, tags, epoch, risk class and time range
+ * never have to retrieve or decrypt blobs.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { MemoryEnvelope } from './envelope.js';
+
+const INDEX_FORMAT_VERSION = 4;
+
+export class EnvelopeIndex {
+  constructor(path) {
+    this.path = path;
+    this.entries = new Map();  // envelope_id -> index entry
+    this.updated_at = null;
+  }
+
+  /**
+   * Load index from disk
+   * @returns {boolean} false if no usable index exists (missing or outdated format)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+
+      if (data.index_version !== INDEX_FORMAT_VERSION) {
+        this.entries = new Map();
+        return false;
+      }
+
+      this.entries = new Map(
+        Object.entries(data.entries || {})
+      );
+      this.updated_at = data.updated_at || null;
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.entries = new Map();
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Save index to disk
+   */
+  async save() {
+    this.updated_at = new Date().toISOString();
+
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      index_version: INDEX_FORMAT_VERSION,
+      updated_at: this.updated_at,
+      entries: Object.fromEntries(this.entries)
+    }, null, 2));
+  }
+
+  /**
+   * Build an index entry for an envelope
+   */
+  static entryFor(envelopeCid, envelope) {
+    return {
+      ...envelope.getIndexData(),
+      envelope_cid: envelopeCid,
+      blob_cid: envelope.cid,
+      attestation_count: envelope.attestations.length
+    };
+  }
+
+  /**
+   * Add (or replace) an envelope in the index
+   */
+  async add(envelopeCid, envelope, { persist = true } = {}) {
+    this.entries.set(
+      envelope.envelope_id,
+      EnvelopeIndex.entryFor(envelopeCid, envelope)
+    );
+
+    if (persist) {
+      await this.save();
+    }
+
+    return this;
+  }
+
+  /**
+   * Get index entry by envelope ID
+   */
+  get(envelopeId) {
+    return this.entries.get(envelopeId) || null;
+  }
+
+  /**
+   * Find index entry by envelope CID
+   */
+  getByCid(envelopeCid) {
+    for (const entry of this.entries.values()) {
+      if (entry.envelope_cid === envelopeCid) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Find entries whose lineage supersedes the given envelope
+   * @param {string} envelopeId - Superseded envelope ID
+   * @param {string[]} kinds - Optional kind filter (e.g. ['tombstone'])
+   */
+  findSuperseding(envelopeId, kinds = null) {
+    const results = [];
+
+    for (const entry of this.entries.values()) {
+      if (kinds && !kinds.includes(entry.kind)) continue;
+      if ((entry.supersedes || []).includes(envelopeId)) {
+        results.push(entry);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Number of indexed envelopes
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Query index entries
+   *
+   * @param {Object} filters
+   * @param {string[]} filters.kinds - Allowed kinds
+   * @param {string[]} filters.scopes - Allowed scopes
+   * @param {string[]} filters.tags - Entry must carry at least one of these tags
+   * @param {string} filters.epochId - Exact epoch match
+   * @param {string[]} filters.riskClasses - Allowed risk classes
+   * @param {string} filters.since - ISO timestamp, inclusive lower bound
+   * @param {string} filters.until - ISO timestamp, inclusive upper bound
+   * @param {number} filters.limit - Max entries returned (newest first)
+   */
+  query(filters = {}) {
+    const {
+      kinds = null,
+      scopes = null,
+      tags = null,
+      epochId = null,
+      riskClasses = null,
+      since = null,
+      until = null,
+      limit = null
+    } = filters;
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    const wantedTags = tags?.length ? new Set(tags.map(t => t.toLowerCase())) : null;
+
+    const results = [];
+
+    for (const entry of this.entries.values()) {
+      if (kinds && !kinds.includes(entry.kind)) continue;
+      if (scopes && !scopes.includes(entry.scope)) continue;
+      if (epochId && entry.epoch_id !== epochId) continue;
+      if (riskClasses && !riskClasses.includes(entry.risk_class)) continue;
+
+      const createdTime = new Date(entry.created_at).getTime();
+      if (sinceTime !== null && createdTime < sinceTime) continue;
+      if (untilTime !== null && createdTime > untilTime) continue;
+
+      if (wantedTags) {
+        const entryTags = (entry.topic_tags || []).map(t => t.toLowerCase());
+        if (!entryTags.some(t => wantedTags.has(t))) continue;
+      }
+
+      results.push(entry);
+    }
+
+    // Newest first
+    results.sort((a, b) =>
+      new Date(b.created_at) - new Date(a.created_at)
+    );
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Rebuild the index from everything in storage (local only)
+   * Blobs are read once here to tell them apart from envelopes.
+   */
+  async rebuild(storage) {
+    const allCids = await storage.list();
+    this.entries = new Map();
+
+    for (const cid of allCids) {
+      try {
+        const data = await storage.retrieve(cid);
+
+        // Check if this is an envelope (has envelope_id)
+        if (data.envelope_id && data.kind) {
+          // Co-signed copies share an envelope_id; keep the most attested one
+          const existing = this.entries.get(data.envelope_id);
+          if (existing && existing.attestation_count >= (data.attestations || []).length) continue;
+
+          await this.add(cid, MemoryEnvelope.fromJSON(data), { persist: false });
+        }
+      } catch (err) {
+        // Skip invalid items
+      }
+    }
+
+    await this.save();
+    return this.size;
+  }
+}
+
+export default EnvelopeIndex;
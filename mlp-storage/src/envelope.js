@@ -6,11 +6,23 @@
  */
 
 import { randomUUID } from 'crypto';
+import { resolveAttesterKey, candidateKeys } from './trust-store.js';
+import { CURRENT_VERSION, assertSupportedVersion, extensionFields } from './versioning.js';
+
+// Fields modelled below; anything else is kept as an extension
+const ENVELOPE_FIELDS = [
+  'mlp_version', 'envelope_id', 'cid', 'content_hash', 'created_at', 'scope', 'kind',
+  'access_policy_ref', 'lineage', 'attestations', 'epoch_id', 'topic_tags', 'risk_class',
+  'ttl_hint', 'metadata_commitment', 'revocation_reason', 'effective_at',
+  'revocation_method', 'shredded_key_id'
+];
 
 export class MemoryEnvelope {
   constructor(data = {}) {
+    assertSupportedVersion(data, 'envelope');
+    
     // Required fields per schema
-    this.mlp_version = data.mlp_version || '0.2';
+    this.mlp_version = data.mlp_version || CURRENT_VERSION;
     this.envelope_id = data.envelope_id || randomUUID();
     this.cid = data.cid || null;  // Content-addressed ID pointing to encrypted blob
     this.content_hash = data.content_hash || null;  // Hash of plaintext
@@ -20,7 +32,7 @@ export class MemoryEnvelope {
     this.scope = data.scope || 'agent';  // user | agent | shared | system
     
     // Kind - type of memory content
-    this.kind = data.kind || 'semantic';  // episodic | semantic | reflection | kernel_ref | policy | tombstone
+    this.kind = data.kind || 'semantic';  // episodic | semantic | reflection | kernel_ref | policy | tombstone | *_derivative
     
     // Access policy reference
     this.access_policy_ref = data.access_policy_ref || null;
@@ -41,6 +53,15 @@ export class MemoryEnvelope {
     this.risk_class = data.risk_class || 'low';  // low | med | high
     this.ttl_hint = data.ttl_hint || 'P30D';  // ISO 8601 duration
     this.metadata_commitment = data.metadata_commitment || null;
+    
+    // Tombstone fields
+    this.revocation_reason = data.revocation_reason || null;  // user_request | policy_expiration | content_correction
+    this.effective_at = data.effective_at || null;
+    this.revocation_method = data.revocation_method || null;  // tombstone | crypto_shred
+    this.shredded_key_id = data.shredded_key_id || null;
+    
+    // Unknown fields (newer spec versions, integrator extensions), written back unchanged
+    this._extensions = extensionFields(data, ENVELOPE_FIELDS);
   }
 
   /**
@@ -53,8 +74,10 @@ export class MemoryEnvelope {
 
   /**
    * Create a tombstone for this envelope
+   * @param {string} reason - user_request | policy_expiration | content_correction
+   * @param {Object} details - Optional { revocation_method, shredded_key_id }
    */
-  createTombstone(reason = 'user_request') {
+  createTombstone(reason = 'user_request', details = {}) {
     return new MemoryEnvelope({
       mlp_version: this.mlp_version,
       kind: 'tombstone',
@@ -65,7 +88,9 @@ export class MemoryEnvelope {
         branches: []
       },
       revocation_reason: reason,  // user_request | policy_expiration | content_correction
-      effective_at: new Date().toISOString()
+      effective_at: new Date().toISOString(),
+      revocation_method: details.revocation_method || null,
+      shredded_key_id: details.shredded_key_id || null
     });
   }
 
@@ -81,7 +106,7 @@ export class MemoryEnvelope {
       signature: attestation.signature,
       signature_algorithm: attestation.signature_algorithm || 'Ed25519',
       signed_at: attestation.signed_at || new Date().toISOString(),
-      public_key: attestation.public_key || null,
+      ...(attestation.public_key && { public_key: attestation.public_key }),
       claims: attestation.claims || [
         { claim_type: 'integrity', claim_value: 'valid' }
       ]
@@ -95,18 +120,35 @@ export class MemoryEnvelope {
    * Sign this envelope with an identity
    */
   async sign(identity, encryption) {
+    return this.attest(identity, encryption, {
+      claims: [
+        { claim_type: 'authorship', claim_value: identity.kernel_id },
+        ...(this.content_hash ? [{ claim_type: 'integrity', claim_value: this.content_hash }] : [])
+      ]
+    });
+  }
+
+  /**
+   * Add a signed attestation from any identity holding a keypair
+   * @param {Object} options - { attesterType, level, claims }
+   */
+  async attest(identity, encryption, options = {}) {
+    const {
+      attesterType = 'agent',
+      level = 'SELF_SIGNED',
+      claims = undefined
+    } = options;
+    
     const dataToSign = this.getSignableData();
-    const signature = await encryption.sign(dataToSign, identity._keypair?.secretKey);
+    const signature = await encryption.sign(dataToSign, signingKey(identity));
     
     this.addAttestation({
       attester_id: identity.kernel_id,
-      attester_type: 'agent',
-      level: 'SELF_SIGNED',
+      attester_type: attesterType,
+      level,
       signature: signature,
-      claims: [
-        { claim_type: 'authorship', claim_value: identity.kernel_id },
-        { claim_type: 'integrity', claim_value: this.content_hash }
-      ]
+      public_key: identity.public_key,
+      claims
     });
     
     return this;
@@ -116,27 +158,23 @@ export class MemoryEnvelope {
    * Add witness signature
    */
   async addWitness(witnessIdentity, encryption) {
-    const dataToSign = this.getSignableData();
-    const signature = await encryption.sign(dataToSign, witnessIdentity._keypair?.secretKey);
-    
-    this.addAttestation({
-      attester_id: witnessIdentity.kernel_id,
-      attester_type: 'witness',
+    return this.attest(witnessIdentity, encryption, {
+      attesterType: 'witness',
       level: 'WITNESS_SIGNED',
-      signature: signature,
       claims: [
         { claim_type: 'validity', claim_value: 'witnessed' }
       ]
     });
-    
-    return this;
   }
 
   /**
    * Get data that should be signed (excludes attestations)
+   * Encryption.sign serializes it canonically (sorted keys, no whitespace).
+   * Extension fields are signed too, so they cannot be altered undetected.
    */
   getSignableData() {
     return {
+      ...this._extensions,
       mlp_version: this.mlp_version,
       envelope_id: this.envelope_id,
       cid: this.cid,
@@ -148,53 +186,83 @@ export class MemoryEnvelope {
       lineage: this.lineage,
       epoch_id: this.epoch_id,
       topic_tags: this.topic_tags,
-      risk_class: this.risk_class
+      risk_class: this.risk_class,
+      ...this._tombstoneFields()
     };
   }
 
   /**
    * Verify all attestations
+   * Keys come from the trust store (or attester_id -> key map); an
+   * attester that is unknown there is checked against its embedded
+   * public_key but reported as untrusted.
+   * valid/trusted describe the author's SELF_SIGNED attestation. Other
+   * attestations only count towards levels/hosts (and the quorum), so an
+   * untrusted extra one cannot discredit the envelope.
+   * @param {TrustStore|Object} trust - TrustStore or attester_id -> public key
+   * @returns {Object} { valid, trusted, levels, hosts, attestations, legacy_signatures }
+   *   levels/hosts only count attestations that are both valid and trusted
    */
-  async verify(encryption, trustedKeys = {}) {
+  async verify(encryption, trust = {}) {
     if (this.attestations.length === 0) {
-      return { valid: false, reason: 'No attestations' };
+      return { valid: false, trusted: false, reason: 'No attestations' };
     }
     
     const results = [];
     for (const attestation of this.attestations) {
-      const publicKey = trustedKeys[attestation.attester_id] || attestation.public_key;
+      const resolved = resolveAttesterKey(trust, attestation);
+      const { publicKey, trusted, reason } = resolved;
       
       if (!publicKey) {
         results.push({
           attester: attestation.attester_id,
           valid: false,
-          reason: 'No public key available'
+          trusted: false,
+          reason
         });
         continue;
       }
       
       try {
-        const valid = await encryption.verify(
-          this.getSignableData(),
-          attestation.signature,
-          publicKey
-        );
+        // Envelopes made before the attester's last key change may verify
+        // against its retired key
+        let verification;
+        for (const key of candidateKeys(resolved, this.created_at)) {
+          verification = await encryption.verifyWithFormat(this.getSignableData(), attestation.signature, key);
+          if (verification.valid) break;
+        }
+        const { valid, format } = verification;
         results.push({
           attester: attestation.attester_id,
+          attester_type: attestation.attester_type,
+          attestation_id: attestation.attestation_id,
           valid,
-          level: attestation.level
+          trusted,
+          level: attestation.level,
+          signature_format: format,  // canonical | legacy (pre-canonicalization)
+          ...(reason && { reason })
         });
       } catch (err) {
         results.push({
           attester: attestation.attester_id,
           valid: false,
+          trusted: false,
           reason: err.message
         });
       }
     }
     
-    const allValid = results.every(r => r.valid);
-    return { valid: allValid, attestations: results };
+    const author = results[this.attestations.findIndex(a => a.level === 'SELF_SIGNED')];
+    const legacyCount = results.filter(r => r.signature_format === 'legacy').length;
+    const confirmed = results.filter(r => r.valid && r.trusted);
+    return {
+      valid: Boolean(author?.valid),
+      trusted: Boolean(author?.valid && author.trusted),
+      levels: [...new Set(confirmed.map(r => r.level))],
+      hosts: [...new Set(confirmed.filter(r => r.level === 'HOST_SIGNED').map(r => r.attester))],
+      attestations: results,
+      legacy_signatures: legacyCount
+    };
   }
 
   /**
@@ -204,6 +272,23 @@ export class MemoryEnvelope {
     return this.kind === 'tombstone';
   }
 
+  /**
+   * Tombstone-only fields (omitted for regular envelopes)
+   */
+  _tombstoneFields() {
+    if (!this.isTombstone()) return {};
+    
+    const fields = {
+      revocation_reason: this.revocation_reason,
+      effective_at: this.effective_at
+    };
+    
+    if (this.revocation_method) fields.revocation_method = this.revocation_method;
+    if (this.shredded_key_id) fields.shredded_key_id = this.shredded_key_id;
+    
+    return fields;
+  }
+
   /**
    * Check if this envelope supersedes another
    */
@@ -215,16 +300,22 @@ export class MemoryEnvelope {
    * Create a child envelope (for updates)
    */
   createChild(updates = {}) {
+    const { supersedes_parent, ...fields } = updates;
+    
     return new MemoryEnvelope({
+      // A new version of the same memory keeps its extensions; derivatives start clean
+      ...(supersedes_parent && this._extensions),
       mlp_version: this.mlp_version,
       scope: this.scope,
       kind: this.kind,
+      access_policy_ref: this.access_policy_ref,
       epoch_id: this.epoch_id,
       topic_tags: [...this.topic_tags],
-      ...updates,
+      risk_class: this.risk_class,
+      ...fields,
       lineage: {
         parents: [this.envelope_id],
-        supersedes: updates.supersedes_parent ? [this.envelope_id] : [],
+        supersedes: supersedes_parent ? [this.envelope_id] : [],
         branches: []
       },
       attestations: []  // New envelope needs new attestations
@@ -242,31 +333,52 @@ export class MemoryEnvelope {
       kind: this.kind,
       topic_tags: this.topic_tags,
       risk_class: this.risk_class,
+      epoch_id: this.epoch_id,
+      parents: this.lineage.parents,
+      supersedes: this.lineage.supersedes,
+      branches: this.lineage.branches,
       has_parents: this.lineage.parents.length > 0,
       attestation_count: this.attestations.length,
       attestation_levels: this.attestations.map(a => a.level)
     };
   }
 
+  /**
+   * Serialize for storage; unset optional fields are omitted, as are
+   * cid and content_hash on tombstones (they point at no blob)
+   */
   toJSON() {
     return {
+      ...this._extensions,
       mlp_version: this.mlp_version,
       envelope_id: this.envelope_id,
-      cid: this.cid,
-      content_hash: this.content_hash,
+      ...(this.cid && { cid: this.cid }),
+      ...(this.content_hash && { content_hash: this.content_hash }),
       created_at: this.created_at,
       scope: this.scope,
       kind: this.kind,
       access_policy_ref: this.access_policy_ref,
       lineage: this.lineage,
       attestations: this.attestations,
-      epoch_id: this.epoch_id,
+      ...(this.epoch_id && { epoch_id: this.epoch_id }),
       topic_tags: this.topic_tags,
       risk_class: this.risk_class,
       ttl_hint: this.ttl_hint,
-      metadata_commitment: this.metadata_commitment
+      ...(this.metadata_commitment && { metadata_commitment: this.metadata_commitment }),
+      ...this._tombstoneFields()
     };
   }
 }
 
+/**
+ * Secret key of a signing identity; never fall back to the host key,
+ * which would attribute the signature to the wrong party
+ */
+function signingKey(identity) {
+  if (!identity._keypair?.secretKey) {
+    throw new Error(`Identity ${identity.kernel_id} has no signing keypair`);
+  }
+  return identity._keypair.secretKey;
+}
+
 export default MemoryEnvelope;
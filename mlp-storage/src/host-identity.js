@@ -0,0 +1,145 @@
+/**
+ * HostIdentity - Signing identity of the platform running agents
+ *
+ * A host may co-sign attestations but is never trusted with decryption
+ * keys, so its keypair lives in its own key file rather than under an
+ * agent's master key. Several agents on one platform share a host
+ * identity by pointing at the same files; each write the host observes
+ * gets a HOST_SIGNED attestation naming the host.
+ */
+
+import { readFile, writeFile, mkdir, chmod } from 'fs/promises';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+
+export class HostIdentity {
+  constructor(data = {}) {
+    this.host_id = data.host_id || `host_${randomUUID()}`;
+    this.name = data.name || hostname();
+    this.platform = data.platform || `${process.platform}-${process.arch}`;
+    this.software = data.software || `mlp-storage/node-${process.versions.node}`;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.public_key = data.public_key || null;
+    this.signature = data.signature || null;  // Self-signature over the descriptor
+
+    // Internal: keypair for signing
+    this._keypair = data._keypair || null;
+  }
+
+  /**
+   * Load the host identity, or create it with a fresh keypair
+   *
+   * @param {string} path - Descriptor file
+   * @param {string} keyPath - Secret key file (0600)
+   * @param {Encryption} encryption
+   * @param {Object} options - { name } for a new host
+   */
+  static async loadOrCreate(path, keyPath, encryption, options = {}) {
+    if (!encryption.nacl) {
+      await encryption.init();
+    }
+
+    try {
+      const descriptor = JSON.parse(await readFile(path, 'utf8'));
+      const secretKey = Buffer.from((await readFile(keyPath, 'utf8')).trim(), 'base64');
+      const keypair = encryption.nacl.sign.keyPair.fromSecretKey(new Uint8Array(secretKey));
+
+      const host = new HostIdentity({ ...descriptor, _keypair: keypair });
+      if (host.public_key !== Buffer.from(keypair.publicKey).toString('base64')) {
+        throw new Error(`Host key file does not match host ${host.host_id}`);
+      }
+      if (!(await host.verify(encryption))) {
+        throw new Error(`Host descriptor signature is invalid for ${host.host_id}`);
+      }
+
+      return host;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const keypair = await encryption.generateSigningKeypair();
+    const host = new HostIdentity({
+      name: options.name || undefined,
+      public_key: Buffer.from(keypair.publicKey).toString('base64'),
+      _keypair: keypair
+    });
+
+    await mkdir(dirname(keyPath), { recursive: true });
+    await writeFile(keyPath, Buffer.from(keypair.secretKey).toString('base64'));
+    await chmod(keyPath, 0o600);
+
+    await host.save(path, encryption);
+    return host;
+  }
+
+  /**
+   * Sign and save the descriptor
+   */
+  async save(path, encryption) {
+    this.signature = await encryption.sign(this._descriptorData(), this._keypair.secretKey);
+
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(this.getDescriptor(), null, 2));
+  }
+
+  /**
+   * Verify the descriptor's self-signature
+   */
+  async verify(encryption) {
+    if (!this.signature || !this.public_key) return false;
+
+    return encryption.verify(
+      this._descriptorData(),
+      this.signature,
+      new Uint8Array(Buffer.from(this.public_key, 'base64'))
+    );
+  }
+
+  /**
+   * Countersign an envelope this host stored
+   * Adds a HOST_SIGNED attestation over the envelope's signable data.
+   */
+  async countersign(envelope, encryption) {
+    const signature = await encryption.sign(envelope.getSignableData(), this._keypair.secretKey);
+    const observedAt = new Date().toISOString();
+
+    envelope.addAttestation({
+      attester_id: this.host_id,
+      attester_type: 'host',
+      level: 'HOST_SIGNED',
+      signature,
+      signed_at: observedAt,
+      public_key: this.public_key,
+      claims: [
+        { claim_type: 'timestamp', claim_value: observedAt },
+        ...(envelope.content_hash ? [{ claim_type: 'integrity', claim_value: envelope.content_hash }] : [])
+      ]
+    });
+
+    return envelope;
+  }
+
+  /**
+   * Public descriptor (safe to publish)
+   */
+  getDescriptor() {
+    return {
+      ...this._descriptorData(),
+      signature: this.signature
+    };
+  }
+
+  _descriptorData() {
+    return {
+      host_id: this.host_id,
+      name: this.name,
+      platform: this.platform,
+      software: this.software,
+      created_at: this.created_at,
+      public_key: this.public_key
+    };
+  }
+}
+
+export default HostIdentity;
@@ -9,12 +9,22 @@
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { dirname } from 'path';
 import { randomUUID } from 'crypto';
+import { CURRENT_VERSION, assertSupportedVersion, extensionFields } from './versioning.js';
+
+// Fields modelled below; anything else is kept as an extension
+const KERNEL_FIELDS = [
+  'kernel_id', 'mlp_version', 'invariants', 'evolution_rules', 'relationship_templates',
+  'memory_defaults', 'epoch_state', 'pointers', 'threat_posture', 'gap_protocol',
+  'cartouche', 'signature', 'public_key'
+];
 
 export class IdentityKernel {
   constructor(data = {}) {
+    assertSupportedVersion(data, 'identity kernel');
+    
     // Required fields per schema
     this.kernel_id = data.kernel_id || randomUUID();
-    this.mlp_version = data.mlp_version || '0.2';
+    this.mlp_version = data.mlp_version || CURRENT_VERSION;
     
     // Invariants - core values and principles that define identity
     this.invariants = data.invariants || {
@@ -52,8 +62,8 @@ export class IdentityKernel {
     
     // Pointers - references to related objects
     this.pointers = data.pointers || {
-      kernel_history: [],      // Ledger IDs of previous kernel versions
-      primary_storage: null    // URI of primary storage location
+      kernel_history: []       // Ledger IDs of previous kernel versions
+      // primary_storage: URI of primary storage location, once there is one
     };
     
     // Threat posture - security settings
@@ -74,53 +84,185 @@ export class IdentityKernel {
     // Signature - required
     this.signature = data.signature || null;
     
-    // Internal: keypair for signing
+    // Public half of the kernel's Ed25519 signing keypair (base64)
+    this.public_key = data.public_key || null;
+    
+    // Internal: keypair for signing (secret half stored encrypted beside the kernel)
     this._keypair = data._keypair || null;
+    this._usesHostKey = false;  // Still on the shared host key (see migrateSigningKey)
+    
+    // Unknown fields, written back (and signed) unchanged
+    this._extensions = extensionFields(data, KERNEL_FIELDS);
   }
 
   /**
    * Load existing kernel or create new one
    */
   static async loadOrCreate(path, encryption) {
+    let kernel;
+    
     try {
       const data = await readFile(path, 'utf8');
       const parsed = JSON.parse(data);
       
       if (parsed.encrypted) {
         const decrypted = await encryption.decrypt(parsed.data);
-        return new IdentityKernel(decrypted);
+        kernel = new IdentityKernel(decrypted);
+      } else {
+        kernel = new IdentityKernel(parsed);
       }
-      
-      return new IdentityKernel(parsed);
     } catch (err) {
-      if (err.code === 'ENOENT') {
-        const kernel = new IdentityKernel();
-        await kernel.save(path);
-        return kernel;
-      }
-      throw err;
+      if (err.code !== 'ENOENT') throw err;
+      
+      kernel = new IdentityKernel();
+      await kernel.loadOrCreateKeypair(path, encryption);
+      await kernel.save(path, encryption);
+      return kernel;
     }
+    
+    // Only kernels from before kernel signing have neither a public key
+    // nor a signing key; one with either but no signature was stripped
+    kernel._predatesSigning = !kernel.public_key &&
+      !(await hasSigningKey(IdentityKernel.signingKeyPath(path), kernel.kernel_id));
+    
+    // Kernels from before per-kernel keys signed with the shared host key;
+    // they hold it only until MLP.init has verified them (migrateSigningKey).
+    // Existing kernels are not re-saved here: re-signing would hide tampering.
+    await kernel.loadOrCreateKeypair(path, encryption, { useHostKey: true });
+    
+    return kernel;
   }
 
   /**
    * Import kernel from file (for portability)
+   * Encrypted exports carry the kernel's signing keypair.
    */
   static async import(path, encryption) {
     const data = await readFile(path, 'utf8');
     const parsed = JSON.parse(data);
     
     if (parsed.encrypted) {
-      const decrypted = await encryption.decrypt(parsed.data);
-      return new IdentityKernel(decrypted);
+      const { signing_key, ...decrypted } = await encryption.decrypt(parsed.data);
+      const kernel = new IdentityKernel(decrypted);
+      
+      if (signing_key) {
+        kernel._setKeypair(await keypairFromSecret(signing_key.secret_key, encryption));
+      }
+      
+      return kernel;
     }
     
     return new IdentityKernel(parsed);
   }
 
+  /**
+   * Path of the encrypted signing key stored beside a kernel file
+   */
+  static signingKeyPath(kernelPath) {
+    return kernelPath.replace(/\.json$/, '') + '.signing-key.json';
+  }
+
+  /**
+   * Load this kernel's signing keypair, or create one
+   *
+   * @param {string} kernelPath - Kernel file path (the key is stored beside it)
+   * @param {Encryption} encryption - Seals the secret key with the master key
+   * @param {Object} options - { useHostKey: if the kernel has no key of its
+   *   own (or its key file holds the host key), hold the host signing key in
+   *   memory for migrateSigningKey instead of generating a keypair }
+   */
+  async loadOrCreateKeypair(kernelPath, encryption, options = {}) {
+    const { useHostKey = false } = options;
+    const keyPath = IdentityKernel.signingKeyPath(kernelPath);
+    const hostKeypair = useHostKey ? await encryption.getHostSigningKeypair() : null;
+    
+    try {
+      const record = JSON.parse(await readFile(keyPath, 'utf8'));
+      
+      // A key file left by a different kernel is not ours to sign with
+      if (record.kernel_id === this.kernel_id) {
+        const { secret_key } = await encryption.decrypt(record.encrypted_key);
+        this._setKeypair(await keypairFromSecret(secret_key, encryption));
+        this._usesHostKey = Boolean(hostKeypair) &&
+          Buffer.from(hostKeypair.publicKey).equals(Buffer.from(this._keypair.publicKey));
+        return this._keypair;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    
+    if (hostKeypair) {
+      this._setKeypair(hostKeypair);
+      this._usesHostKey = true;
+      return this._keypair;
+    }
+    
+    this._setKeypair(await encryption.generateSigningKeypair());
+    await this.saveKeypair(kernelPath, encryption);
+    return this._keypair;
+  }
+
+  /**
+   * Save the signing keypair beside the kernel, sealed with the current master key
+   */
+  async saveKeypair(kernelPath, encryption) {
+    if (!this._keypair) {
+      throw new Error('Kernel has no signing keypair');
+    }
+    
+    const keyPath = IdentityKernel.signingKeyPath(kernelPath);
+    const encryptedKey = await encryption.encrypt({
+      secret_key: Buffer.from(this._keypair.secretKey).toString('base64')
+    }, { dataKey: false });
+    
+    await mkdir(dirname(keyPath), { recursive: true });
+    await writeFile(keyPath, JSON.stringify({
+      type: 'identity_signing_key',
+      kernel_id: this.kernel_id,
+      algorithm: 'Ed25519',
+      public_key: this.public_key,
+      encrypted_key: encryptedKey,
+      updated_at: new Date().toISOString()
+    }, null, 2));
+    
+    const { chmod } = await import('fs/promises');
+    await chmod(keyPath, 0o600);
+  }
+
+  /**
+   * Move a kernel still signing with the shared host key to a keypair of
+   * its own, and re-sign it
+   * @returns {string|null} The retired host public key (base64), or null
+   *   if the kernel already had its own key
+   */
+  async migrateSigningKey(kernelPath, encryption) {
+    if (!this._usesHostKey) return null;
+    
+    const hostPublicKey = Buffer.from(this._keypair.publicKey).toString('base64');
+    this._setKeypair(await encryption.generateSigningKeypair());
+    this._usesHostKey = false;
+    await this.saveKeypair(kernelPath, encryption);
+    await this.save(kernelPath, encryption);
+    return hostPublicKey;
+  }
+
+  _setKeypair(keypair) {
+    this._keypair = keypair;
+    this.public_key = Buffer.from(keypair.publicKey).toString('base64');
+  }
+
   /**
    * Save kernel to file
+   * Kernels with a signing keypair are (re-)signed on every save.
    */
-  async save(path) {
+  async save(path, encryption = null) {
+    if (this._keypair) {
+      if (!encryption) {
+        throw new Error('Encryption is required to sign the kernel on save');
+      }
+      await this.sign(encryption);
+    }
+    
     await mkdir(dirname(path), { recursive: true });
     await writeFile(path, JSON.stringify(this.toJSON(), null, 2));
   }
@@ -129,7 +271,18 @@ export class IdentityKernel {
    * Export kernel for portability (encrypted)
    */
   async export(path, encryption) {
-    const encrypted = await encryption.encrypt(this.toJSON());
+    // Master key only: exports must not depend on the local data key store.
+    // The signing keypair travels too, so signatures stay attributable.
+    const payload = this.toJSON();
+    if (this._keypair) {
+      payload.signing_key = {
+        algorithm: 'Ed25519',
+        public_key: this.public_key,
+        secret_key: Buffer.from(this._keypair.secretKey).toString('base64')
+      };
+    }
+    
+    const encrypted = await encryption.encrypt(payload, { dataKey: false });
     await mkdir(dirname(path), { recursive: true });
     await writeFile(path, JSON.stringify({
       type: 'identity_kernel_export',
@@ -169,30 +322,38 @@ export class IdentityKernel {
       memory_defaults: this.memory_defaults,
       epoch_state: this.epoch_state,
       threat_posture: this.threat_posture,
-      cartouche: this.cartouche
+      ...(this.cartouche && { cartouche: this.cartouche }),
+      ...(this.public_key && { public_key: this.public_key })
     };
   }
 
   /**
    * Generate Cartouche (compressed identity seal)
-   * Using GLYPH-1 dialect as default
+   * Using GLYPH-1 dialect as default; signed with the kernel's key
    */
-  generateCartouche(encryption) {
+  async generateCartouche(encryption) {
+    if (!this._keypair) {
+      throw new Error('Kernel has no signing keypair');
+    }
+    
     // Create symbolic representation from identity
     const glyphs = this._generateGlyphs();
     const cartoucheString = glyphs.join('');
     const hash = encryption.hash(cartoucheString);
     
-    this.cartouche = {
+    const cartouche = {
       dialect_id: 'GLYPH-1',
       dialect_version: '1.0',
       cartouche_string: cartoucheString,
       cartouche_hash: hash,
-      cartouche_signature: null,  // Will be set when signed
       created_at: new Date().toISOString(),
       stable_since: new Date().toISOString()
     };
     
+    this.cartouche = {
+      ...cartouche,
+      cartouche_signature: await encryption.sign(cartouche, this._keypair.secretKey)
+    };
     return this.cartouche;
   }
 
@@ -279,36 +440,38 @@ export class IdentityKernel {
    * Sign this kernel
    */
   async sign(encryption) {
+    if (!this._keypair) {
+      throw new Error('Kernel has no signing keypair');
+    }
+    
     const dataToSign = this.getSignableData();
-    const signature = await encryption.sign(dataToSign, this._keypair?.secretKey);
+    const signature = await encryption.sign(dataToSign, this._keypair.secretKey);
     this.signature = signature;
     return this;
   }
 
   /**
-   * Get data that should be signed
+   * Get data that should be signed (everything but the signature,
+   * so threat_posture cannot be loosened undetected)
    */
   getSignableData() {
-    return {
-      kernel_id: this.kernel_id,
-      mlp_version: this.mlp_version,
-      invariants: this.invariants,
-      evolution_rules: this.evolution_rules,
-      memory_defaults: this.memory_defaults,
-      epoch_state: this.epoch_state,
-      pointers: this.pointers
-    };
+    const { signature, ...data } = this.toJSON();
+    return data;
   }
 
   /**
    * Verify kernel signature
+   * @param {Uint8Array} publicKey - Defaults to the kernel's own signing key
    */
-  async verify(encryption, publicKey) {
-    if (!this.signature) return false;
+  async verify(encryption, publicKey = this._keypair?.publicKey) {
+    if (!this.signature || !publicKey) return false;
     const dataToVerify = this.getSignableData();
     return encryption.verify(dataToVerify, this.signature, publicKey);
   }
 
+  /**
+   * Serialize for storage; unset optional fields are omitted
+   */
   toJSON() {
     return {
       kernel_id: this.kernel_id,
@@ -318,13 +481,49 @@ export class IdentityKernel {
       relationship_templates: this.relationship_templates,
       memory_defaults: this.memory_defaults,
       epoch_state: this.epoch_state,
-      pointers: this.pointers,
+      pointers: withoutNulls(this.pointers),
       threat_posture: this.threat_posture,
       gap_protocol: this.gap_protocol,
-      cartouche: this.cartouche,
-      signature: this.signature
+      ...(this.cartouche && { cartouche: this.cartouche }),
+      ...(this.public_key && { public_key: this.public_key }),
+      ...(this.signature && { signature: this.signature }),
+      ...this._extensions
     };
   }
 }
 
+/**
+ * Rebuild an Ed25519 keypair from its (base64 or raw) secret key
+ */
+async function keypairFromSecret(secretKey, encryption) {
+  if (!encryption.nacl) {
+    await encryption.init();
+  }
+  
+  const raw = typeof secretKey === 'string'
+    ? new Uint8Array(Buffer.from(secretKey, 'base64'))
+    : secretKey;
+  return encryption.nacl.sign.keyPair.fromSecretKey(raw);
+}
+
+/**
+ * Copy of an object without its null fields
+ */
+function withoutNulls(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+}
+
+/**
+ * Whether a kernel's signing key file exists (a key left by another
+ * kernel does not count)
+ */
+async function hasSigningKey(keyPath, kernelId) {
+  try {
+    return JSON.parse(await readFile(keyPath, 'utf8')).kernel_id === kernelId;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return false;
+  }
+}
+
 export default IdentityKernel;
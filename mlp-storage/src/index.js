@@ -7,19 +7,79 @@
 import { IdentityKernel } from './identity-kernel.js';
 import { MemoryEnvelope } from './envelope.js';
 import { Storage } from './storage.js';
+import { EnvelopeIndex } from './envelope-index.js';
+import { LineageGraph } from './lineage.js';
+import { TrustStore, resolveAttesterKey, candidateKeys } from './trust-store.js';
+import { PolicyStore, policyRef, policyIdOf } from './policy-store.js';
+import { RetrievalCounter } from './retrieval-counter.js';
+import { KeyGrantStore, createKeyGrant } from './key-grants.js';
+import { HostIdentity } from './host-identity.js';
+import { createSigningRequest, attachResponse, checkQuorum, LocalWitness } from './witness.js';
+import { resolveRevocations, resolveLatestVersion, findSuperseded } from './revocation.js';
 import { Encryption } from './encryption.js';
 import { Config } from './config.js';
+import { compileContextPack } from './context-pack.js';
+import { AccessPolicy, PERMISSIONS } from './access-policy.js';
+import { resolvePolicy } from './policy-resolver.js';
+import { derivativeKind, findValueLeaks } from './derivation.js';
+import { applyRedactionRules, collectRedactedValues } from './redaction.js';
+import { validate, assertValid } from './validation.js';
+import { Ledger, LocalLedger, openLedger } from './ledger.js';
+import { CURRENT_VERSION, supportedVersions, assertSupportedVersion } from './versioning.js';
 import { randomUUID } from 'crypto';
 
+/**
+ * What to do with an unsigned or tampered identity kernel, per config
+ * identity.kernel_strictness. 'sign' warns and signs a kernel that
+ * predates signing in place.
+ */
+const KERNEL_VERIFICATION_POLICY = {
+  low: { unsigned: 'sign', invalid: 'warn' },
+  medium: { unsigned: 'sign', invalid: 'read_only' },
+  high: { unsigned: 'read_only', invalid: 'refuse' },
+  paranoid: { unsigned: 'refuse', invalid: 'refuse' }
+};
+
+/**
+ * Config access.* key holding each configurable policy inheritance layer;
+ * the shared_consent layer is the envelope's own access_policy_ref
+ */
+const LAYER_CONFIG_KEYS = {
+  system_safety: 'system_policy',
+  agent_constraints: 'agent_policy',
+  user_default: 'default_policy'
+};
+
 export class MLP {
   constructor(configPath) {
     this.config = new Config(configPath);
     this.encryption = null;
     this.storage = null;
+    this.index = null;
     this.identity = null;
+    this.trustStore = null;
+    this.policies = null;
+    this.retrievals = null;
+    this.keyGrants = null;
+    this.ledger = null;
+    this.host = null;
+    this.kernelVerification = null;
     this.initialized = false;
   }
 
+  /**
+   * Validate an MLP object (envelope, blob, attestation, policy, kernel,
+   * cartouche or context pack) against its JSON schema
+   * @param {Object} object - Plain JSON object
+   * @param {Object} options - { schema: type (default: detected from fields),
+   *   mode: 'strict' (default) | 'lenient', extensions: accept extension fields }
+   * @returns {Object} { valid, schema, mode, errors, warnings }; each issue is
+   *   { path, keyword, message }, e.g. path 'lineage.parents[0]'
+   */
+  static validate(object, options = {}) {
+    return validate(object, options);
+  }
+
   /**
    * Initialize MLP for this agent
    */
@@ -32,13 +92,73 @@ export class MLP {
     await this.encryption.init();
     
     // Initialize storage
-    this.storage = new Storage(this.config.storage);
+    this.storage = new Storage(this.config.storage, { validation: this.config.validation?.mode });
     await this.storage.init();
     
+    // Load envelope index (rebuild from local storage if missing)
+    const indexPath = this.config.storage.index_path.replace('~', process.env.HOME);
+    this.index = new EnvelopeIndex(indexPath);
+    const indexExists = await this.index.load();
+    if (!indexExists && this.storage.provider === 'local') {
+      await this.index.rebuild(this.storage);
+    }
+    
     // Load or create identity kernel
     const kernelPath = this.config.identity.kernel_path.replace('~', process.env.HOME);
     this.identity = await IdentityKernel.loadOrCreate(kernelPath, this.encryption);
     
+    // Load trust store (its pinned self keys record that signing is enabled)
+    const trustStorePath = this.config.identity.trust_store_path.replace('~', process.env.HOME);
+    this.trustStore = new TrustStore(trustStorePath);
+    await this.trustStore.load();
+    
+    // Read flow step 1: verify the kernel signature before trusting it
+    // (a missing signature is handled there, by strictness, not as a schema error)
+    this.kernelVerification = await this._verifyKernel(kernelPath);
+    if (this.identity.signature) this._assertSchema(this.identity.toJSON(), 'kernel');
+    
+    // A verified kernel still on the shared host key moves to its own key;
+    // the host key stays trusted only for signatures made before the move
+    if (this.kernelVerification.action !== 'read_only') {
+      const hostPublicKey = await this.identity.migrateSigningKey(kernelPath, this.encryption);
+      if (hostPublicKey) await this._retireSelfKey(hostPublicKey);
+    }
+    
+    // Pin our own signing key
+    await this._trustSelf();
+    
+    // Load the registry of stored access policies
+    this.policies = new PolicyStore(this.config.access.policy_index_path.replace('~', process.env.HOME));
+    await this.policies.load();
+    this.retrievals = new RetrievalCounter(this.config.getExpandedPaths().retrievals);
+    await this.retrievals.load();
+    this.keyGrants = new KeyGrantStore(this.config.access.key_grants_path.replace('~', process.env.HOME));
+    await this.keyGrants.load();
+    
+    // Write flow step 7: stored envelopes are appended to the ledger;
+    // a broken chain is reported and makes MLP read-only
+    this.ledger = await openLedger(this.config.ledger);
+    if (!this.ledger.verification.valid) {
+      console.warn(`Ledger ${describeLedgerProblem(this.ledger.verification)}: entering read-only mode`);
+    }
+    
+    // Host identity countersigns every write when enabled
+    if (this.config.host?.enabled) {
+      this.host = await HostIdentity.loadOrCreate(
+        this.config.host.identity_path.replace('~', process.env.HOME),
+        this.config.host.key_path.replace('~', process.env.HOME),
+        this.encryption,
+        { name: this.config.host.name }
+      );
+      if (!this.trustStore.get(this.host.host_id)) {
+        await this.trustStore.add(this.host.host_id, this.host.public_key, {
+          attesterType: 'host',
+          label: this.host.name,
+          pinned: true
+        });
+      }
+    }
+    
     this.initialized = true;
     
     return {
@@ -60,55 +180,142 @@ export class MLP {
     }
   }
 
+  /**
+   * Ensure MLP is initialized and not in read-only mode
+   */
+  _ensureWritable() {
+    this._ensureInit();
+    
+    if (this.kernelVerification?.action === 'read_only') {
+      const err = new Error(
+        `MLP is read-only: identity kernel ${describeKernelStatus(this.kernelVerification.status)}`
+      );
+      err.code = 'KERNEL_READ_ONLY';
+      throw err;
+    }
+    
+    if (this.ledger && !this.ledger.verification.valid) {
+      const err = new Error(`MLP is read-only: ledger ${describeLedgerProblem(this.ledger.verification)}`);
+      err.code = 'LEDGER_TAMPERED';
+      throw err;
+    }
+  }
+
+  /**
+   * Check an object against its schema in the configured validation mode
+   * (storage validates envelopes, blobs and policies itself)
+   */
+  _assertSchema(object, schema) {
+    const mode = this.config.validation?.mode || 'lenient';
+    if (mode !== 'off') assertValid(object, { schema, mode, extensions: true });
+  }
+
+  /**
+   * Verify the identity kernel signature and apply the strictness policy
+   * Strictness comes from the config, never from the kernel being checked.
+   * Only a kernel that predates signing (no public key, no signing key
+   * file, no self key pinned in the trust store) counts as unsigned; a
+   * missing signature on any other kernel is treated as tampering.
+   * @returns {Object} { status, strictness, action, checked_at }
+   */
+  async _verifyKernel(kernelPath) {
+    const { strictness, policy } = this._kernelStrictness();
+    
+    // Once this store has pinned a self key, deleting the kernel's key
+    // material too cannot pass it off as one from before signing
+    const signingEnabled = this.trustStore.list().some(entry => entry.label === 'self');
+    
+    let status = 'valid';
+    if (!this.identity.signature) {
+      status = this.identity._predatesSigning && !signingEnabled ? 'unsigned' : 'invalid';
+    } else if (!(await this.identity.verify(this.encryption))) {
+      status = 'invalid';
+    }
+    
+    const action = status === 'valid' ? 'none' : policy[status];
+    const result = { status, strictness, action, checked_at: new Date().toISOString() };
+    const problem = `Identity kernel ${describeKernelStatus(status)} (strictness: ${strictness})`;
+    
+    if (action === 'refuse') {
+      const err = new Error(`${problem}: refusing to load`);
+      err.code = 'KERNEL_UNVERIFIED';
+      throw err;
+    }
+    
+    if (action !== 'none') {
+      console.warn(`${problem}: ${
+        action === 'sign' ? 'signing it now' :
+        action === 'read_only' ? 'entering read-only mode' : 'continuing'
+      }`);
+    }
+    
+    if (action === 'sign') {
+      await this.identity.save(kernelPath, this.encryption);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Configured kernel strictness and its verification policy
+   */
+  _kernelStrictness() {
+    const strictness = this.config.identity.kernel_strictness || 'medium';
+    const policy = KERNEL_VERIFICATION_POLICY[strictness];
+    if (!policy) {
+      throw new Error(
+        `Unknown identity.kernel_strictness: ${strictness} ` +
+        `(expected ${Object.keys(KERNEL_VERIFICATION_POLICY).join(', ')})`
+      );
+    }
+    return { strictness, policy };
+  }
+
   /**
    * Store a memory
    * @param {Object} content - The content to store
-   * @param {Object} options - Storage options
+   * @param {Object} options - Storage options; options.policy is a policy ID
+   *   or an inline policy (default: config access.default_policy)
    */
   async store(content, options = {}) {
-    this._ensureInit();
+    this._ensureWritable();
     
     const {
       kind = 'semantic',
       scope = 'agent',
       tags = [],
-      riskClass = 'low'
+      riskClass = 'low',
+      policy = null
     } = options;
     
-    // Create memory blob (to be encrypted)
-    const blob = {
-      mlp_version: '0.2',
-      blob_id: randomUUID(),
-      created_at: new Date().toISOString(),
-      content_type: typeof content === 'string' ? 'text/plain' : 'application/json',
-      content: content
-    };
-    
-    // Hash plaintext for verification
-    const contentHash = this.encryption.hash(JSON.stringify(blob));
-    
-    // Encrypt blob
-    const encryptedBlob = await this.encryption.encrypt(blob);
+    // Write flow step 2: determine the AccessPolicy
+    const accessPolicyRef = await this._attachPolicy(policy);
     
-    // Store encrypted blob
-    const cid = await this.storage.store(encryptedBlob);
+    // Encrypt and store blob, bound to the envelope it will belong to
+    const envelopeId = randomUUID();
+    const { cid, contentHash, keyId } = await this._storeBlob(content, envelopeId);
     
     // Create envelope
     const envelope = new MemoryEnvelope({
+      envelope_id: envelopeId,
       cid: cid,
       content_hash: contentHash,
       scope: scope,
       kind: kind,
       topic_tags: tags,
       risk_class: riskClass,
+      access_policy_ref: accessPolicyRef,
       epoch_id: this.identity.epoch_state.epoch_id
     });
     
     // Sign envelope
-    await envelope.sign(this.identity, this.encryption);
+    await this._signEnvelope(envelope);
     
     // Store envelope (for ledger/index)
-    const envelopeCid = await this.storage.store(envelope.toJSON());
+    const envelopeCid = await this._recordEnvelope(envelope);
+    
+    // Wrap the data key to the policy's readers
+    await this._shareDataKey(envelope, keyId);
     
     return {
       envelope_id: envelope.envelope_id,
@@ -120,250 +327,1751 @@ export class MLP {
   }
 
   /**
-   * Load a memory by envelope CID
+   * Create a memory blob, hash its plaintext, encrypt and store it
+   * @param {*} content - Memory content
+   * @param {string} envelopeId - ID of the envelope that will point at this blob (bound as AAD)
+   * @returns {Object} { cid, contentHash, keyId }
    */
-  async load(envelopeCid) {
-    this._ensureInit();
+  async _storeBlob(content, envelopeId) {
+    // Create memory blob (to be encrypted)
+    const blob = {
+      mlp_version: CURRENT_VERSION,
+      blob_id: randomUUID(),
+      created_at: new Date().toISOString(),
+      content_type: typeof content === 'string' ? 'text/plain' : 'application/json',
+      content: content
+    };
     
-    // Retrieve envelope
+    // Hash canonical plaintext for verification
+    const contentHash = this.encryption.hash(blob);
+    
+    // Encrypt blob
+    const encryptedBlob = await this.encryption.encrypt(blob, {
+      aad: { envelope_id: envelopeId, content_hash: contentHash }
+    });
+    
+    // Store encrypted blob
+    const cid = await this.storage.store(encryptedBlob);
+    
+    return { cid, contentHash, keyId: encryptedBlob.key_id };
+  }
+
+  /**
+   * Update a memory by creating a signed child envelope that supersedes it
+   * @param {string} envelopeCid - CID of the envelope being corrected (must be the latest version)
+   * @param {Object} newContent - Replacement content
+   * @param {Object} options - { tags, riskClass } (default: inherited from the original)
+   */
+  async update(envelopeCid, newContent, options = {}) {
+    this._ensureWritable();
+    
+    // Load original envelope
     const envelopeData = await this.storage.retrieve(envelopeCid);
-    const envelope = MemoryEnvelope.fromJSON(envelopeData);
+    const original = MemoryEnvelope.fromJSON(envelopeData);
     
-    // Check for tombstone
-    if (envelope.isTombstone()) {
-      return {
-        envelope: envelope.toJSON(),
-        tombstoned: true,
-        content: null
-      };
+    if (original.isTombstone()) {
+      throw new Error('Cannot update a tombstone');
     }
     
-    // Verify attestations (basic check for now)
-    const verification = await envelope.verify(this.encryption);
+    const revocations = await this._resolveRevocations([original.envelope_id]);
+    if (revocations.has(original.envelope_id)) {
+      throw new Error(`Cannot update revoked envelope ${original.envelope_id}`);
+    }
     
-    // Retrieve encrypted blob
-    const encryptedBlob = await this.storage.retrieve(envelope.cid);
+    const latestId = await this._resolveLatest(original.envelope_id);
+    if (latestId !== original.envelope_id) {
+      throw new Error(
+        `Envelope ${original.envelope_id} has been superseded by ${latestId}; update the latest version`
+      );
+    }
     
-    // Decrypt
-    const blob = await this.encryption.decrypt(encryptedBlob);
+    // Encrypt and store new blob
+    const childId = randomUUID();
+    const { cid, contentHash, keyId } = await this._storeBlob(newContent, childId);
     
-    // Verify content hash
-    const computedHash = this.encryption.hash(JSON.stringify(blob));
-    const hashValid = computedHash === envelope.content_hash;
+    // Create child envelope superseding the original
+    const { child, childCid } = await this._storeChild(original, {
+      envelope_id: childId,
+      cid: cid,
+      content_hash: contentHash,
+      ...(options.tags && { topic_tags: options.tags }),
+      ...(options.riskClass && { risk_class: options.riskClass })
+    });
+    await this._shareDataKey(child, keyId);
     
     return {
-      envelope: envelope.toJSON(),
-      content: blob.content,
-      verified: verification.valid && hashValid,
-      verification: {
-        attestations: verification,
-        content_hash_valid: hashValid
-      }
+      envelope_id: child.envelope_id,
+      envelope_cid: childCid,
+      blob_cid: cid,
+      content_hash: contentHash,
+      supersedes: original.envelope_id,
+      stored_at: new Date().toISOString()
     };
   }
 
   /**
-   * Generate a ContextPack for session initialization
-   * Following MLP spec read flow
+   * Create a derivative memory (redacted, character or summary) from a source
+   *
+   * The derivative gets its own encrypted blob and an envelope of the
+   * derivative kind with the source in lineage.parents. Redacted source
+   * fields (options.redact plus the source policy's redaction rules) must
+   * not appear anywhere in the derived content.
+   *
+   * @param {string} envelopeCid - Source envelope CID (its latest version is used)
+   * @param {string} type - REDACTED_DERIVATIVE | CHARACTER_DERIVATIVE | SUMMARY_DERIVATIVE
+   * @param {Function|*} transform - (content, source) => derived content, or the
+   *   derived content itself; optional for REDACTED_DERIVATIVE
+   * @param {Object} options - { redact, redactionPattern, authorizedBy,
+   *   authorizerType, scope, tags, riskClass, policy }
    */
-  async generateContextPack(options = {}) {
-    this._ensureInit();
+  async derive(envelopeCid, type, transform = null, options = {}) {
+    this._ensureWritable();
     
+    const kind = derivativeKind(type);
     const {
-      intent = 'general_session',
-      memoryTypes = ['semantic', 'reflection'],
-      maxMemories = 10,
-      timeRange = null
+      redact = [],
+      redactionPattern = '[REDACTED]',
+      authorizedBy = this.identity,
+      authorizerType = 'user'
     } = options;
     
-    // 1. Load IdentityKernel (already loaded)
-    const kernel = this.identity.toContextFormat();
+    // Reading the source for a derivation is not a retrieval
+    const source = await this._load(envelopeCid, {}, { countRetrieval: false });
+    if (source.content === null || source.content === undefined) {
+      throw new Error(`Cannot derive from ${envelopeCid}: source is revoked, tombstoned, denied or unreadable`);
+    }
+    if (!source.verified) {
+      throw new Error(`Cannot derive from ${envelopeCid}: source does not verify`);
+    }
+    
+    const sourceEnvelope = MemoryEnvelope.fromJSON(source.envelope);
     
-    // 2. Determine constraints
-    const constraints = {
-      kinds: memoryTypes,
-      max_count: maxMemories,
-      time_range: timeRange
+    // The authorizing party needs derive permission under the source policy
+    const policy = await this._resolvePolicy(sourceEnvelope);
+    if (!policy.hasPermission(authorizedBy.kernel_id, 'derive')) {
+      const err = new Error(`${authorizedBy.kernel_id} may not derive from ${sourceEnvelope.envelope_id}`);
+      err.code = 'DERIVE_DENIED';
+      throw err;
+    }
+    
+    // Plain field names in `redact` mask top-level fields; objects are full rules
+    const rules = [
+      ...redact.map(rule => typeof rule === 'string'
+        ? { field: rule, action: 'mask', pattern: redactionPattern }
+        : rule),
+      ...policy.redactionRules
+    ];
+    
+    let derived;
+    if (typeof transform === 'function') {
+      derived = await transform(source.content, source.envelope);
+    } else if (transform !== null && transform !== undefined) {
+      derived = transform;
+    } else if (kind === 'redacted_derivative') {
+      derived = applyRedactionRules(source.content, rules);
+    } else {
+      throw new Error(`${type} requires a transform`);
+    }
+    
+    const leaks = findValueLeaks(collectRedactedValues(source.content, rules), derived);
+    if (leaks.length > 0) {
+      const err = new Error(
+        `Derived content reveals redacted field(s): ${[...new Set(leaks.map(l => l.field))].join(', ')}`
+      );
+      err.code = 'DERIVATION_LEAK';
+      throw err;
+    }
+    
+    const accessPolicyRef = await this._attachPolicy(options.policy);
+    
+    // Encrypt and store the derived blob
+    const derivativeId = randomUUID();
+    const { cid, contentHash, keyId } = await this._storeBlob(derived, derivativeId);
+    
+    const derivative = sourceEnvelope.createChild({
+      envelope_id: derivativeId,
+      cid,
+      content_hash: contentHash,
+      kind,
+      scope: options.scope || sourceEnvelope.scope,
+      topic_tags: options.tags || [...sourceEnvelope.topic_tags],
+      risk_class: options.riskClass || sourceEnvelope.risk_class,
+      access_policy_ref: accessPolicyRef,
+      epoch_id: this.identity.epoch_state.epoch_id
+    });
+    
+    // Authored by this agent, attested by whoever authorized the derivation
+    await this._signEnvelope(derivative);
+    if (authorizedBy.kernel_id !== this.identity.kernel_id) {
+      await derivative.attest(authorizedBy, this.encryption, {
+        attesterType: authorizerType,
+        claims: [{ claim_type: 'consent', claim_value: `derive:${kind}` }]
+      });
+    }
+    
+    const derivativeCid = await this._recordEnvelope(derivative);
+    await this._shareDataKey(derivative, keyId);
+    
+    return {
+      envelope_id: derivative.envelope_id,
+      envelope_cid: derivativeCid,
+      blob_cid: cid,
+      content_hash: contentHash,
+      kind,
+      derived_from: sourceEnvelope.envelope_id,
+      authorized_by: authorizedBy.kernel_id,
+      redacted_fields: rules.map(rule => rule.field || rule.path || rule.detector),
+      stored_at: new Date().toISOString()
     };
+  }
+
+  /**
+   * Evaluate an envelope's effective policy for a principal and intent
+   * Envelopes without a policy are owner-only unless a default policy is
+   * configured; a policy that cannot be loaded denies access.
+   * A principal that has used up a max_retrievals quota is denied, unless
+   * the read is not counted (countRetrieval: false).
+   * @returns {Object} { level: 'full' | 'redacted' | 'denied', reason, decided_by,
+   *   policy_id, decisions, remaining_retrievals, policy }
+   */
+  async _resolveAccess(envelope, principal, intent, { countRetrieval = true } = {}) {
+    let policy;
+    try {
+      policy = await this._resolvePolicy(envelope);
+    } catch (err) {
+      if (err.code !== 'POLICY_UNAVAILABLE') throw err;
+      return {
+        level: 'denied',
+        reason: err.message,
+        decided_by: err.layer,
+        policy_id: null,
+        decisions: [],
+        remaining_retrievals: null,
+        policy: null
+      };
+    }
     
-    // 3. Fetch relevant envelopes (from local storage for now)
-    const allEnvelopes = await this._fetchEnvelopes(constraints);
+    const access = policy.evaluateAccess(principal, intent);
+    const quota = this._retrievalQuota(policy, principal);
     
-    // 4. Filter and verify
-    const memorySlices = [];
-    let memoriesConsidered = 0;
-    let memoriesIncluded = 0;
-    let memoriesRedacted = 0;
-    let memoriesDenied = 0;
+    if (access.level !== 'denied' && countRetrieval && quota.exhausted) {
+      const { layer, policy_id, max_retrievals } = quota.exhausted;
+      return {
+        ...access,
+        level: 'denied',
+        reason: `Retrieval limit reached: ${max_retrievals} read(s) allowed under policy ${policy_id}`,
+        decided_by: layer,
+        policy_id,
+        remaining_retrievals: 0,
+        policy
+      };
+    }
     
-    for (const envelopeData of allEnvelopes) {
-      memoriesConsidered++;
-      const envelope = MemoryEnvelope.fromJSON(envelopeData);
-      
-      // Skip tombstones
-      if (envelope.isTombstone()) {
-        memoriesDenied++;
-        continue;
-      }
-      
-      try {
-        // 5 & 6. Fetch and decrypt blob
-        const encryptedBlob = await this.storage.retrieve(envelope.cid);
-        const blob = await this.encryption.decrypt(encryptedBlob);
-        
-        memorySlices.push({
-          envelope: envelope.toJSON(),
-          decrypted_content: blob.content,
-          access_level: 'full'
-        });
-        memoriesIncluded++;
-      } catch (err) {
-        // Access denied or decryption failed
-        memorySlices.push({
-          envelope: envelope.toJSON(),
-          decrypted_content: null,
-          access_level: 'denied'
-        });
-        memoriesDenied++;
-      }
-      
-      if (memoriesIncluded >= maxMemories) break;
-    }
-    
-    // 7. Compile ContextPack
-    const contextPack = {
-      pack_id: randomUUID(),
-      mlp_version: '0.2',
-      kernel: kernel,
-      memory_slices: memorySlices,
-      active_policies: [],  // TODO: Load access policies
-      compilation_trace: {
-        requested_by: this.identity.kernel_id,
-        intent: intent,
-        constraints_applied: Object.keys(constraints),
-        memories_considered: memoriesConsidered,
-        memories_included: memoriesIncluded,
-        memories_redacted: memoriesRedacted,
-        memories_denied: memoriesDenied
-      },
-      compiled_at: new Date().toISOString(),
-      session_constraints: {
-        allowed_operations: ['read', 'write', 'derive'],
-        requires_attestation_on_write: true
-      }
+    return {
+      ...access,
+      remaining_retrievals: quota.remaining,
+      policy
     };
+  }
+
+  /**
+   * Reads left for a principal under an effective policy's max_retrievals limits
+   * @returns {Object} { limits: [{ layer, policy_id, max_retrievals, used, remaining }],
+   *   remaining (null if unlimited), exhausted (first used-up limit or null) }
+   */
+  _retrievalQuota(policy, principal) {
+    const limits = policy.retrievalLimits(principal).map(limit => {
+      const used = this.retrievals.count(limit.policy_id, principal);
+      return { ...limit, used, remaining: Math.max(limit.max_retrievals - used, 0) };
+    });
     
-    return contextPack;
+    return {
+      limits,
+      remaining: limits.length ? Math.min(...limits.map(l => l.remaining)) : null,
+      exhausted: limits.find(l => l.remaining === 0) || null
+    };
   }
 
   /**
-   * Fetch envelopes matching constraints (local implementation)
+   * Count a read against the limits that bind the principal
+   * @returns {number|null} Reads left afterwards (null if unlimited)
    */
-  async _fetchEnvelopes(constraints) {
-    if (this.config.storage.provider !== 'local') {
-      // For non-local, would query ledger
-      return [];
+  async _recordRetrieval(policy, principal) {
+    const limits = policy?.retrievalLimits(principal) || [];
+    if (limits.length === 0) return null;
+    
+    for (const { policy_id } of limits) {
+      this.retrievals.increment(policy_id, principal);
     }
+    await this.retrievals.save();
     
-    const allCids = await this.storage.list();
-    const envelopes = [];
+    return this._retrievalQuota(policy, principal).remaining;
+  }
+
+  /**
+   * Build an envelope's effective policy from the inheritance layers:
+   * config system_policy and agent_policy, the envelope's own policy, and
+   * config default_policy for envelopes without one (owner-only if unset)
+   * @throws POLICY_UNAVAILABLE (err.layer set) if a layer's policy cannot be loaded
+   */
+  async _resolvePolicy(envelope) {
+    const { default_policy, agent_policy, system_policy } = this.config.access;
+    const refs = {
+      system_safety: system_policy,
+      shared_consent: envelope.access_policy_ref,
+      agent_constraints: agent_policy,
+      user_default: envelope.access_policy_ref ? null : default_policy
+    };
     
-    for (const cid of allCids) {
+    const layers = {};
+    for (const [layer, policyRef] of Object.entries(refs)) {
+      if (!policyRef) continue;
+      
       try {
-        const data = await this.storage.retrieve(cid);
-        
-        // Check if this is an envelope (has envelope_id)
-        if (data.envelope_id && data.kind) {
-          // Apply kind filter
-          if (constraints.kinds && !constraints.kinds.includes(data.kind)) {
-            continue;
-          }
-          
-          envelopes.push(data);
-        }
+        layers[layer] = await this._loadPolicy(policyRef);
       } catch (err) {
-        // Skip invalid items
+        const unavailable = new Error(`Policy unavailable (${layer}): ${policyRef}`);
+        unavailable.code = 'POLICY_UNAVAILABLE';
+        unavailable.layer = layer;
+        throw unavailable;
       }
     }
     
-    // Sort by created_at descending
-    envelopes.sort((a, b) => 
-      new Date(b.created_at) - new Date(a.created_at)
-    );
+    if (!layers.shared_consent && !layers.user_default) {
+      layers.user_default = this._ownerOnlyPolicy();
+    }
     
-    return envelopes.slice(0, constraints.max_count || 50);
+    return resolvePolicy(layers);
   }
 
   /**
-   * Export identity kernel for portability
+   * Grant policy for envelopes with no policy and no configured default:
+   * this agent has full access, nobody else has any
    */
-  async exportIdentity(outputPath) {
-    this._ensureInit();
-    return this.identity.export(outputPath, this.encryption);
+  _ownerOnlyPolicy() {
+    if (this._ownerOnly?.owner_id !== this.identity.kernel_id) {
+      this._ownerOnly = AccessPolicy.createDefault(this.identity.kernel_id);
+    }
+    return this._ownerOnly;
   }
 
   /**
-   * Import identity kernel from another platform
+   * Load the latest version of an access policy by policy ID (or CID)
+   * Policies must verify against a trusted key for their signer; unsigned
+   * policies are refused whatever their shape.
+   * @returns {AccessPolicy|null} null if there is no policy reference
    */
-  async importIdentity(inputPath) {
-    this._ensureInit();
+  async _loadPolicy(policyRef) {
+    if (!policyRef) return null;
     
-    this.identity = await IdentityKernel.import(inputPath, this.encryption);
+    const entry = this.policies.get(policyRef);
+    const policy = AccessPolicy.fromJSON(await this.storage.retrieve(this.policies.resolveCid(policyRef)));
     
-    // Save to configured location
-    const kernelPath = this.config.identity.kernel_path.replace('~', process.env.HOME);
-    await this.identity.save(kernelPath);
+    if (entry && policy.policy_id !== entry.policy_id) {
+      throw new Error(`Stored policy ${entry.cid} is not ${entry.policy_id}`);
+    }
     
-    return this.identity.getSummary();
+    if (!policy.signature) {
+      const err = new Error(`Policy ${policy.policy_id} is unsigned`);
+      err.code = 'POLICY_UNVERIFIED';
+      throw err;
+    }
+    
+    const resolved = resolveAttesterKey(this.trustStore, { attester_id: policy.signed_by });
+    let verified = false;
+    for (const key of resolved.trusted ? candidateKeys(resolved, policy.updated_at) : []) {
+      verified = verified || await policy.verify(this.encryption, key);
+    }
+    if (!verified) {
+      const err = new Error(`Policy ${policy.policy_id} is not signed by a trusted attester`);
+      err.code = 'POLICY_UNVERIFIED';
+      throw err;
+    }
+    
+    return policy;
   }
 
   /**
-   * Revoke a memory (create tombstone)
+   * Resolve a store/derive policy option to the envelope's access_policy_ref
+   * @param {string|Object|null} policy - Policy ID, inline policy, or null for the default
    */
-  async revoke(envelopeCid, reason = 'user_request') {
-    this._ensureInit();
+  async _attachPolicy(policy) {
+    if (policy && typeof policy === 'object') {
+      return policyRef((await this.createPolicy(policy)).policy_id);
+    }
     
-    // Load original envelope
-    const envelopeData = await this.storage.retrieve(envelopeCid);
-    const envelope = MemoryEnvelope.fromJSON(envelopeData);
+    const policyId = policy || this.config.access.default_policy;
+    if (!policyId) return null;
     
-    // Create tombstone
-    const tombstone = envelope.createTombstone(reason);
-    await tombstone.sign(this.identity, this.encryption);
+    if (!this.policies.get(policyId)) {
+      throw new Error(`Unknown access policy: ${policyId}`);
+    }
+    return policyRef(policyId);
+  }
+
+  /**
+   * Sign and store a policy version and record it in the policy registry
+   */
+  async _storePolicy(policy) {
+    await policy.sign(this.encryption, this.identity.kernel_id, this.identity._keypair.secretKey);
+    const policyCid = await this.storage.store(policy.toJSON());
+    await this.policies.record(policy, policyCid);
     
-    // Store tombstone
-    const tombstoneCid = await this.storage.store(tombstone.toJSON());
+    return { policy_id: policy.policy_id, policy_cid: policyCid, policy: policy.toJSON() };
+  }
+
+  /**
+   * Create, sign, store and index a child envelope superseding the original
+   */
+  async _storeChild(original, updates) {
+    const child = original.createChild({
+      epoch_id: this.identity.epoch_state.epoch_id,
+      supersedes_parent: true,
+      ...updates
+    });
     
-    return {
-      tombstone_id: tombstone.envelope_id,
-      tombstone_cid: tombstoneCid,
-      revokes: envelope.envelope_id,
-      reason: reason
-    };
+    await this._signEnvelope(child);
+    const childCid = await this._recordEnvelope(child);
+    
+    return { child, childCid };
   }
 
   /**
-   * Get current status
+   * Store an envelope, index it and append it to the ledger
+   * @returns {string} Envelope CID
    */
-  async status() {
-    const storageConnected = this.storage ? 
-      await this.storage.isConnected() : false;
+  async _recordEnvelope(envelope) {
+    const envelopeCid = await this.storage.store(envelope.toJSON());
+    await this.index.add(envelopeCid, envelope);
+    await this.ledger.append(envelope, envelopeCid);
+    return envelopeCid;
+  }
+
+  /**
+   * Re-encrypt a decrypted blob under a fresh data key, stored under a
+   * superseding child envelope with the same content_hash
+   */
+  async _reencryptAsChild(original, blob) {
+    const childId = randomUUID();
+    const encryptedBlob = await this.encryption.encrypt(blob, {
+      aad: { envelope_id: childId, content_hash: original.content_hash }
+    });
+    const cid = await this.storage.store(encryptedBlob);
     
-    return {
-      initialized: this.initialized,
-      mlp_version: '0.2',
-      identity: this.identity?.getSummary() || null,
-      storage: {
-        provider: this.config?.storage?.provider || 'unknown',
-        connected: storageConnected
-      },
-      encryption: {
-        keys_exist: this.encryption ? await this.encryption.keysExist() : false
-      },
-      config_path: this.config?.configPath
+    const { child, childCid } = await this._storeChild(original, {
+      envelope_id: childId,
+      cid,
+      content_hash: original.content_hash
+    });
+    const grant = await this._shareDataKey(child, encryptedBlob.key_id);
+    
+    return { child, childCid, keyId: encryptedBlob.key_id, grant };
+  }
+
+  /**
+   * Index entries for the latest, unrevoked version of every memory
+   */
+  async _headEntries() {
+    const candidates = this.index.query()
+      .filter(entry => entry.kind !== 'tombstone');
+    const candidateIds = candidates.map(entry => entry.envelope_id);
+    const revocations = await this._resolveRevocations(candidateIds);
+    const superseded = await findSuperseded({
+      index: this.index,
+      storage: this.storage,
+      encryption: this.encryption,
+      trustedKeys: this.trustStore,
+      policyFor: (envelope) => this._resolvePolicy(envelope),
+      envelopeIds: candidateIds
+    });
+    
+    return candidates.filter(entry =>
+      !revocations.has(entry.envelope_id) && !superseded.has(entry.envelope_id)
+    );
+  }
+
+  /**
+   * Latest versions of the memories referencing a policy
+   * @returns {Object[]} [{ entry, envelope }]
+   */
+  async _policyHeads(policyId) {
+    const heads = [];
+    
+    for (const entry of await this._headEntries()) {
+      const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+      if (policyIdOf(envelope.access_policy_ref) === policyIdOf(policyId)) heads.push({ entry, envelope });
+    }
+    return heads;
+  }
+
+  /**
+   * Wrap an envelope's data key to every reader its policy names with a
+   * public key, and store the grant
+   * Envelopes without a policy, or blobs sealed directly with the master
+   * key, are never shared.
+   * @returns {Object|null} Grant entry, or null if there is nobody to share with
+   */
+  async _shareDataKey(envelope, keyId) {
+    if (!keyId?.startsWith('dk_') || !envelope.access_policy_ref) return null;
+    
+    const policy = await this._loadPolicy(envelope.access_policy_ref);
+    const ownIds = this._ownKernelIds();
+    const recipients = policy.recipients.filter(p => !ownIds.includes(p.principal_id));
+    
+    // A grant that loses its last reader is replaced by an empty one
+    const existing = this.keyGrants.get(envelope.envelope_id);
+    if (recipients.length === 0 && existing?.key_id !== keyId) return null;
+    
+    const wraps = [];
+    for (const recipient of recipients) {
+      wraps.push({
+        principal_id: recipient.principal_id,
+        ...(await this.encryption.wrapDataKeyFor(keyId, recipient.public_key))
+      });
+    }
+    
+    const grant = createKeyGrant({
+      envelope_id: envelope.envelope_id,
+      key_id: keyId,
+      policy_id: policy.policy_id,
+      wraps
+    });
+    return this.keyGrants.record(grant, await this.storage.store(grant));
+  }
+
+  /**
+   * Decrypt an envelope's blob with our own data key, or with the key
+   * grant of a memory shared with us
+   */
+  async _decryptBlob(envelope, encryptedBlob) {
+    // Legacy blobs have no key_id and are never shared
+    const grant = this.keyGrants.get(envelope.envelope_id);
+    const shared = Boolean(grant) && encryptedBlob.key_id?.startsWith('dk_') &&
+      grant.key_id === encryptedBlob.key_id &&
+      !(await this.encryption.dataKeys.exists(encryptedBlob.key_id));
+    
+    const blob = await this.encryption.decrypt(encryptedBlob, {
+      aad: { envelope_id: envelope.envelope_id, content_hash: envelope.content_hash },
+      ...(shared && { keyWraps: (await this.storage.retrieve(grant.cid)).wraps })
+    });
+    assertSupportedVersion(blob, 'blob');
+    return blob;
+  }
+
+  /**
+   * What a reader needs to accept a shared memory (see acceptShare)
+   */
+  _shareBundle(envelopeId, envelopeCid, grant) {
+    return {
+      envelope_id: envelopeId,
+      envelope_cid: envelopeCid,
+      key_grant_cid: grant.cid,
+      policy_id: grant.policy_id,
+      policy_cid: this.policies.get(grant.policy_id)?.cid || null
+    };
+  }
+
+  /**
+   * Load a memory by envelope CID
+   * @param {string} envelopeCid - Envelope CID
+   * @param {Object} options - { resolveLatest: follow updates to the newest version (default true),
+   *   principal: who is reading (default: this agent), intent: purpose of the read }
+   */
+  async load(envelopeCid, options = {}) {
+    this._ensureInit();
+    return this._load(envelopeCid, options);
+  }
+
+  /**
+   * Load a memory; internal reads pass countRetrieval: false to neither
+   * spend nor check max_retrievals quotas
+   */
+  async _load(envelopeCid, options = {}, { countRetrieval = true } = {}) {
+    const {
+      resolveLatest = true,
+      principal = this.identity.kernel_id,
+      intent = null
+    } = options;
+    
+    // Retrieve envelope
+    const envelopeData = await this.storage.retrieve(envelopeCid);
+    const envelope = await this._withAllAttestations(MemoryEnvelope.fromJSON(envelopeData));
+    
+    // Check for tombstone
+    if (envelope.isTombstone()) {
+      return {
+        envelope: envelope.toJSON(),
+        tombstoned: true,
+        content: null
+      };
+    }
+    
+    // Check for a valid tombstone superseding this envelope
+    const revocations = await this._resolveRevocations([envelope.envelope_id]);
+    if (revocations.has(envelope.envelope_id)) {
+      return {
+        envelope: envelope.toJSON(),
+        revoked: true,
+        revocation: revocations.get(envelope.envelope_id),
+        content: null
+      };
+    }
+    
+    // Follow updates to the latest version
+    if (resolveLatest) {
+      const latestId = await this._resolveLatest(envelope.envelope_id);
+      if (latestId !== envelope.envelope_id) {
+        const latest = await this._load(
+          this.index.get(latestId).envelope_cid,
+          { resolveLatest: false, principal, intent },
+          { countRetrieval }
+        );
+        return { ...latest, resolved_from: envelope.envelope_id };
+      }
+    }
+    
+    // Verify attestations against the trust store and quorum policy
+    const verification = await this._verifyEnvelope(envelope);
+    
+    // Enforce the access policy before decrypting
+    const { policy, ...access } = await this._resolveAccess(envelope, principal, intent, { countRetrieval });
+    if (access.level === 'denied') {
+      return {
+        envelope: envelope.toJSON(),
+        denied: true,
+        access,
+        content: null
+      };
+    }
+    
+    // Retrieve encrypted blob
+    const encryptedBlob = await this.storage.retrieve(envelope.cid);
+    
+    // Decrypt (checks the blob is bound to this envelope)
+    const blob = await this._decryptBlob(envelope, encryptedBlob);
+    
+    // Verify content hash (canonical, or pre-canonicalization JSON for older blobs)
+    const hashValid = this.encryption.hash(blob) === envelope.content_hash ||
+      this.encryption.hash(JSON.stringify(blob)) === envelope.content_hash;
+    
+    // Count the read once the content is actually handed out
+    const remaining = countRetrieval
+      ? await this._recordRetrieval(policy, principal)
+      : access.remaining_retrievals;
+    
+    return {
+      envelope: envelope.toJSON(),
+      content: access.level === 'redacted'
+        ? policy.applyRedaction(blob.content, principal)
+        : blob.content,
+      access: { ...access, remaining_retrievals: remaining },
+      verified: verification.verified && hashValid,
+      verification: {
+        attestations: verification.attestations,
+        levels: verification.levels,
+        observed_by: verification.observed_by,
+        quorum: verification.quorum,
+        content_hash_valid: hashValid
+      }
+    };
+  }
+
+  /**
+   * Generate a ContextPack for session initialization
+   * Following MLP spec read flow, via the relevance-ranked pipeline
+   *
+   * @param {Object} options
+   * @param {string} options.intent - Session purpose (drives relevance scoring)
+   * @param {string[]} options.kinds - Memory kinds to consider (alias: memoryTypes)
+   * @param {string[]} options.scope - Scopes to consider
+   * @param {string} options.since - Only consider memories created after this time
+   * @param {Object} options.timeRange - { from, to } (legacy alternative to since)
+   * @param {number} options.maxMemories - Max memories included in full
+   * @param {number} options.maxTokens - Token budget for decrypted content
+   * @param {number} options.maxCandidates - Max envelopes fetched for scoring
+   * @param {number} options.expiresIn - Pack lifetime in milliseconds
+   * @param {string} options.principal - Who the pack is for (default: this agent);
+   *   each memory's access policy decides full, redacted or denied content
+   */
+  async generateContextPack(options = {}) {
+    this._ensureInit();
+    
+    const {
+      intent = 'general_session',
+      memoryTypes = ['semantic', 'reflection'],
+      kinds = memoryTypes,
+      scope = ['user', 'agent'],
+      since = null,
+      timeRange = null,
+      maxMemories = 10,
+      maxTokens = 4000,
+      maxCandidates = 200,
+      expiresIn = null,
+      principal = this.identity.kernel_id
+    } = options;
+    
+    // 1. Load IdentityKernel (already loaded)
+    const kernel = this.identity.toJSON();
+    
+    // 2-7. Fetch, rank, decrypt and compile
+    const pack = await compileContextPack({
+      kernel,
+      intent,
+      constraints: {
+        scope,
+        kinds,
+        since: since || timeRange?.from || null,
+        until: timeRange?.to || null,
+        maxCandidates,
+        maxTokens,
+        maxMemories,
+        expiresIn
+      },
+      queryEnvelopes: (query) => this._fetchEnvelopes(query),
+      fetchAndDecrypt: async (cid, envelope) => {
+        const blob = await this._decryptBlob(envelope, await this.storage.retrieve(cid));
+        return blob.content;
+      },
+      resolveRevocations: (envelopeIds) => this._resolveRevocations(envelopeIds),
+      resolveAccess: (envelopeData) => this._resolveAccess(envelopeData, principal, intent),
+      recordRetrieval: (access) => this._recordRetrieval(access.policy, principal),
+      principal,
+      verifyEnvelope: async (envelopeData) =>
+        (await this._verifyEnvelope(MemoryEnvelope.fromJSON(envelopeData))).verified,
+      storage: this.storage
+    });
+    
+    this._assertSchema(pack, 'context_pack');
+    return pack;
+  }
+
+  /**
+   * Fetch envelopes matching a compileContextPack query
+   * Filters against the envelope index, then retrieves only the matches.
+   */
+  async _fetchEnvelopes({ scope, kinds, since, until, limit }) {
+    const matches = this.index.query({
+      kinds,
+      scopes: scope,
+      since,
+      until
+    });
+    
+    // Only the latest version of each updated memory is a candidate
+    const superseded = await findSuperseded({
+      index: this.index,
+      storage: this.storage,
+      encryption: this.encryption,
+      trustedKeys: this.trustStore,
+      policyFor: (envelope) => this._resolvePolicy(envelope),
+      envelopeIds: matches.map(e => e.envelope_id)
+    });
+    const entries = matches
+      .filter(e => !superseded.has(e.envelope_id))
+      .slice(0, limit || 50);
+    
+    const envelopes = [];
+    
+    for (const entry of entries) {
+      try {
+        envelopes.push(await this.storage.retrieve(entry.envelope_cid));
+      } catch (err) {
+        // Skip envelopes missing from storage
+      }
+    }
+    
+    return envelopes;
+  }
+
+  /**
+   * Find the index entry for an envelope ID or any CID of the envelope
+   * (co-signing stores new copies, so older CIDs are resolved by ID)
+   */
+  async _findEntry(envelopeRef) {
+    let entry = this.index.get(envelopeRef) || this.index.getByCid(envelopeRef);
+    
+    if (!entry) {
+      try {
+        const data = await this.storage.retrieve(envelopeRef);
+        entry = data?.envelope_id ? this.index.get(data.envelope_id) : null;
+      } catch (err) {
+        // Not a stored object
+      }
+    }
+    
+    if (!entry) {
+      throw new Error(`Envelope not found in index: ${envelopeRef}`);
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Sign an envelope as this agent, countersigned by the host if enabled
+   */
+  async _signEnvelope(envelope) {
+    await envelope.sign(this.identity, this.encryption);
+    
+    if (this.host) {
+      await this.host.countersign(envelope, this.encryption);
+    }
+    
+    return envelope;
+  }
+
+  /**
+   * Verify an envelope's attestations against the trust store and the
+   * attestation quorum for its risk class
+   * @returns {Object} { verified, attestations, quorum }
+   */
+  async _verifyEnvelope(envelope) {
+    const attestations = await envelope.verify(this.encryption, this.trustStore);
+    const quorum = checkQuorum(attestations, envelope.risk_class, this.config.attestation?.quorum);
+    
+    return {
+      verified: attestations.trusted && quorum.met,
+      levels: attestations.levels || [],
+      observed_by: attestations.hosts || [],
+      attestations,
+      quorum
+    };
+  }
+
+  /**
+   * Attestations accumulate (witness co-signing stores a new copy of the
+   * envelope), so prefer the indexed copy when it covers the same data
+   */
+  async _withAllAttestations(envelope) {
+    const entry = this.index.get(envelope.envelope_id);
+    if (!entry) return envelope;
+    
+    try {
+      const indexed = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+      const sameData = this.encryption.hash(indexed.getSignableData()) ===
+        this.encryption.hash(envelope.getSignableData());
+      
+      return sameData ? indexed : envelope;
+    } catch (err) {
+      return envelope;
+    }
+  }
+
+  /**
+   * Kernel IDs that sign as this agent (current and past epochs)
+   */
+  _ownKernelIds() {
+    return [this.identity.kernel_id, ...(this.identity.pointers.kernel_history || [])];
+  }
+
+  /**
+   * Pin the local identity's signing key in the trust store
+   */
+  async _trustSelf() {
+    const publicKey = this.identity._keypair.publicKey;
+    
+    for (const kernelId of this._ownKernelIds()) {
+      if (this.trustStore.get(kernelId)) continue;
+      await this.trustStore.add(kernelId, publicKey, {
+        attesterType: 'agent',
+        label: 'self',
+        pinned: true
+      });
+    }
+  }
+
+  /**
+   * Move our own trust store entries to the kernel's current key, keeping
+   * a retired key for signatures made before the change
+   */
+  async _retireSelfKey(retiredKey) {
+    for (const kernelId of this._ownKernelIds()) {
+      await this.trustStore.replaceKey(kernelId, this.identity._keypair.publicKey, {
+        retiredKey,
+        attesterType: 'agent',
+        label: 'self',
+        pinned: true
+      });
+    }
+  }
+
+  /**
+   * Resolve envelopes revoked by valid, signed tombstones
+   * @param {string[]} envelopeIds - Envelopes to check (default: all)
+   * @returns {Map} envelope_id -> revocation record
+   */
+  async _resolveRevocations(envelopeIds = null) {
+    return resolveRevocations({
+      index: this.index,
+      storage: this.storage,
+      encryption: this.encryption,
+      trustedKeys: this.trustStore,
+      policyFor: (envelope) => this._resolvePolicy(envelope),
+      envelopeIds
+    });
+  }
+
+  /**
+   * Resolve the newest version of an envelope through valid signed updates
+   * @returns {string} envelope_id of the latest version
+   */
+  async _resolveLatest(envelopeId) {
+    return resolveLatestVersion({
+      index: this.index,
+      storage: this.storage,
+      encryption: this.encryption,
+      trustedKeys: this.trustStore,
+      policyFor: (envelope) => this._resolvePolicy(envelope),
+      envelopeId
+    });
+  }
+
+  /**
+   * Query the envelope index without touching storage
+   * @param {Object} filters - See EnvelopeIndex.query
+   */
+  queryIndex(filters = {}) {
+    this._ensureInit();
+    return this.index.query(filters);
+  }
+
+  /**
+   * Rebuild the envelope index from storage (local only)
+   */
+  async rebuildIndex() {
+    this._ensureInit();
+    const count = await this.index.rebuild(this.storage);
+    return { indexed: count, rebuilt_at: this.index.updated_at };
+  }
+
+  /**
+   * Query ledger entries in sequence order
+   * @param {Object} filters - { from, to (sequence numbers, inclusive),
+   *   since, until (recorded_at), envelope_id, entry_type: envelope | tombstone, limit }
+   * @returns {Object[]} Entries { sequence, entry_type, envelope_id, envelope_cid,
+   *   envelope, recorded_at, prev_hash, entry_hash }
+   */
+  queryLedger(filters = {}) {
+    this._ensureInit();
+    return this.ledger.query(filters);
+  }
+
+  /**
+   * Get a ledger entry by sequence number (null if past the head)
+   */
+  getLedgerEntry(sequence) {
+    this._ensureInit();
+    return this.ledger.get(sequence);
+  }
+
+  /**
+   * Re-read the ledger and check its hash chain
+   * @returns {Object} { valid, length, head_hash, checked_at, broken_at, reason }
+   */
+  async verifyLedger() {
+    this._ensureInit();
+    return this.ledger.verify();
+  }
+
+  /**
+   * Build a lineage graph over every indexed envelope
+   */
+  lineageGraph() {
+    this._ensureInit();
+    return new LineageGraph(this.index.query());
+  }
+
+  /**
+   * Get the lineage of an envelope as a graph: ancestors, descendants,
+   * current head, branch alternatives, cycles and dangling references
+   * @param {string} envelopeRef - Envelope ID or envelope CID
+   */
+  getLineage(envelopeRef) {
+    this._ensureInit();
+    
+    const entry = this.index.get(envelopeRef) || this.index.getByCid(envelopeRef);
+    if (!entry) {
+      throw new Error(`Envelope not found in index: ${envelopeRef}`);
+    }
+    
+    return this.lineageGraph().describe(entry.envelope_id);
+  }
+
+  /**
+   * Save (and sign) the identity kernel after changing it
+   */
+  async saveIdentity() {
+    this._ensureWritable();
+    
+    this._assertSchema(this.identity.toJSON(), 'kernel');
+    const kernelPath = this.config.identity.kernel_path.replace('~', process.env.HOME);
+    await this.identity.save(kernelPath, this.encryption);
+    
+    return this.identity.getSummary();
+  }
+
+  /**
+   * Countersign an already stored envelope with the host identity
+   * (writes made while the host is enabled are countersigned automatically)
+   * @param {string} envelopeRef - Envelope CID or envelope ID
+   */
+  async countersign(envelopeRef) {
+    this._ensureWritable();
+    
+    if (!this.host) {
+      throw new Error('Host identity not enabled (set host.enabled in config)');
+    }
+    
+    const entry = await this._findEntry(envelopeRef);
+    
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+    if (envelope.attestations.some(a => a.attester_id === this.host.host_id)) {
+      return { envelope_id: envelope.envelope_id, envelope_cid: entry.envelope_cid, countersigned: false };
+    }
+    
+    await this.host.countersign(envelope, this.encryption);
+    const envelopeCid = await this._recordEnvelope(envelope);
+    
+    return {
+      envelope_id: envelope.envelope_id,
+      envelope_cid: envelopeCid,
+      previous_cid: entry.envelope_cid,
+      countersigned: true
+    };
+  }
+
+  /**
+   * Export a memory's signable data as a witness signing request
+   * @param {string} envelopeRef - Envelope CID or envelope ID
+   * @param {Object} options - { reason }
+   */
+  async requestWitness(envelopeRef, options = {}) {
+    this._ensureInit();
+    
+    const entry = await this._findEntry(envelopeRef);
+    
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+    return createSigningRequest(envelope, this.encryption, {
+      requestedBy: this.identity.kernel_id,
+      reason: options.reason || null
+    });
+  }
+
+  /**
+   * Attach a witness's signed response to its envelope
+   * The co-signed envelope is stored under a new CID and replaces the
+   * old copy in the index.
+   */
+  async attachWitness(response) {
+    this._ensureWritable();
+    
+    const entry = this.index.get(response?.envelope_id);
+    if (!entry) {
+      throw new Error(`Envelope not found in index: ${response?.envelope_id}`);
+    }
+    
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+    await attachResponse(envelope, response, this.encryption);
+    
+    const envelopeCid = await this._recordEnvelope(envelope);
+    
+    const { verified, quorum } = await this._verifyEnvelope(envelope);
+    
+    return {
+      envelope_id: envelope.envelope_id,
+      envelope_cid: envelopeCid,
+      previous_cid: entry.envelope_cid,
+      witness: response.attestation.attester_id,
+      verified,
+      quorum
+    };
+  }
+
+  /**
+   * Export identity kernel for portability
+   */
+  async exportIdentity(outputPath) {
+    this._ensureInit();
+    return this.identity.export(outputPath, this.encryption);
+  }
+
+  /**
+   * Import identity kernel from another platform
+   * The kernel is checked against the public_key it carries. Only a valid
+   * kernel, or an unsigned one the configured strictness would sign, is
+   * imported; the current kernel verification verdict is left as it is.
+   */
+  async importIdentity(inputPath) {
+    this._ensureWritable();
+    
+    const imported = await IdentityKernel.import(inputPath, this.encryption);
+    const { strictness, policy } = this._kernelStrictness();
+    const status = await importedKernelStatus(imported, this.encryption);
+    if (status !== 'valid' && policy[status] !== 'sign') {
+      const err = new Error(
+        `Imported identity kernel ${describeKernelStatus(status)} (strictness: ${strictness}): refusing to import`
+      );
+      err.code = 'KERNEL_UNVERIFIED';
+      throw err;
+    }
+    this.identity = imported;
+    
+    // Save to configured location, with the imported signing key if it carried one
+    const kernelPath = this.config.identity.kernel_path.replace('~', process.env.HOME);
+    if (this.identity._keypair) {
+      await this.identity.saveKeypair(kernelPath, this.encryption);
+    } else {
+      await this.identity.loadOrCreateKeypair(kernelPath, this.encryption);
+    }
+    await this.identity.save(kernelPath, this.encryption);
+    await this._trustSelf();
+    
+    return this.identity.getSummary();
+  }
+
+  /**
+   * Create, sign and store an access policy
+   * @param {AccessPolicy|Object} policy - Policy or policy data (owner defaults to this agent)
+   * @param {Object} options - { layer: register it as the user_default,
+   *   agent_constraints or system_safety policy; makeDefault: same as
+   *   layer 'user_default' }
+   * @returns {Object} { policy_id, policy_cid, policy }
+   */
+  async createPolicy(policy = {}, options = {}) {
+    this._ensureWritable();
+    
+    const layer = options.layer || (options.makeDefault ? 'user_default' : null);
+    if (layer && !LAYER_CONFIG_KEYS[layer]) {
+      throw new Error(`Unknown policy layer: ${layer} (expected ${Object.keys(LAYER_CONFIG_KEYS).join(', ')})`);
+    }
+    
+    const created = policy instanceof AccessPolicy
+      ? AccessPolicy.fromJSON(policy.toJSON())
+      : AccessPolicy.fromJSON({ owner_id: this.identity.kernel_id, ...policy });
+    created.owner_id ||= this.identity.kernel_id;
+    
+    // Without principals, the owner holds every permission
+    if (created.principals.length === 0) {
+      for (const permission of PERMISSIONS) created.grant(created.owner_id, permission);
+    }
+    assertValidPolicy(created);
+    
+    if (this.policies.get(created.policy_id)) {
+      throw new Error(`Policy ${created.policy_id} already exists; use updatePolicy`);
+    }
+    
+    const result = await this._storePolicy(created);
+    if (layer) {
+      await this.config.update({ access: { [LAYER_CONFIG_KEYS[layer]]: created.policy_id } });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Update a stored policy; envelopes referencing it see the new version
+   * @param {string} policyId - Policy to update (owned by this agent, or
+   *   granting it admin)
+   * @param {Function|Object} changes - policy => void, or fields to replace
+   *   (principals, permissions, constraints, revocation_rules, emergency_rules)
+   * @returns {Object} { policy_id, policy_cid, previous_cid, policy }
+   */
+  async updatePolicy(policyId, changes) {
+    this._ensureWritable();
+    
+    const entry = this.policies.get(policyId);
+    if (!entry) {
+      throw new Error(`Unknown access policy: ${policyId}`);
+    }
+    
+    let policy = await this._loadPolicy(policyId);
+    if (!this._ownKernelIds().some(id => policy.hasPermission(id, 'admin'))) {
+      const err = new Error(`Policy ${policyId} is owned by ${policy.owner_id} and grants us no admin permission`);
+      err.code = 'POLICY_NOT_ADMIN';
+      throw err;
+    }
+    
+    if (typeof changes === 'function') {
+      await changes(policy);
+    } else {
+      const replaced = {};
+      for (const field of ['principals', 'permissions', 'constraints', 'revocation_rules', 'emergency_rules']) {
+        if (changes?.[field] !== undefined) replaced[field] = changes[field];
+      }
+      // Rebuilt so spec-form principals are normalized like on create
+      policy = AccessPolicy.fromJSON({ ...policy.toJSON(), ...replaced });
+    }
+    policy.policy_id = entry.policy_id;
+    policy.updated_at = new Date().toISOString();
+    assertValidPolicy(policy);
+    
+    return {
+      ...(await this._storePolicy(policy)),
+      previous_cid: entry.cid
+    };
+  }
+
+  /**
+   * Explain an envelope's access decision layer by layer
+   * @param {string} envelopeRef - Envelope ID or CID
+   * @param {Object} options - { principal (default: this agent), intent }
+   * @returns {Object} { envelope_id, principal, intent, level, reason, decided_by,
+   *   policy_id, decisions, effective_policy }
+   */
+  async explainAccess(envelopeRef, options = {}) {
+    this._ensureInit();
+    
+    const { principal = this.identity.kernel_id, intent = null } = options;
+    const entry = await this._findEntry(envelopeRef);
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+    
+    const { policy, ...access } = await this._resolveAccess(envelope, principal, intent);
+    
+    return {
+      envelope_id: envelope.envelope_id,
+      principal,
+      intent,
+      ...access,
+      effective_policy: policy?.toJSON() || null
+    };
+  }
+
+  /**
+   * Reads a principal has left of an envelope under max_retrievals limits
+   * @param {string} envelopeRef - Envelope ID or CID
+   * @param {Object} options - { principal (default: this agent) }
+   * @returns {Object} { envelope_id, principal, remaining (null if unlimited), limits }
+   */
+  async retrievalQuota(envelopeRef, options = {}) {
+    this._ensureInit();
+    
+    const { principal = this.identity.kernel_id } = options;
+    const entry = await this._findEntry(envelopeRef);
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(entry.envelope_cid));
+    const { remaining, limits } = this._retrievalQuota(await this._resolvePolicy(envelope), principal);
+    
+    return { envelope_id: envelope.envelope_id, principal, remaining, limits };
+  }
+
+  /**
+   * List stored policies (latest CID, owner, version history)
+   */
+  listPolicies() {
+    this._ensureInit();
+    return this.policies.list().map(entry => ({
+      ...entry,
+      default: entry.policy_id === this.config.access.default_policy,
+      layer: layerOf(entry.policy_id, this.config.access)
+    }));
+  }
+
+  /**
+   * Base64 X25519 public key other principals wrap shared data keys to;
+   * hand it out as this agent's key_ref
+   */
+  async getEncryptionPublicKey() {
+    this._ensureInit();
+    return this.encryption.getBoxPublicKey();
+  }
+
+  /**
+   * Share every memory under a policy with another principal
+   * Grants the reader read access, records their X25519 key as their
+   * key_ref and wraps each memory's data key to it. No content is
+   * re-encrypted; memories stored later are wrapped as they are written.
+   * @param {string} policyId - Policy the shared memories reference
+   * @param {Object} reader - { principal_id, public_key, principal_type
+   *   (default 'agent'), permissions (default ['read']) }
+   * @returns {Object} { policy_id, policy_cid, shares, failures }; each
+   *   share is a bundle for the reader's acceptShare()
+   */
+  async addReader(policyId, reader = {}) {
+    this._ensureWritable();
+    
+    const { principal_id, public_key, principal_type = 'agent', permissions = ['read'] } = reader;
+    if (!principal_id || !public_key) {
+      throw new Error('addReader needs the reader\'s principal_id and public_key');
+    }
+    
+    const updated = await this.updatePolicy(policyId, (policy) => {
+      for (const permission of new Set(['read', ...permissions])) {
+        policy.grant(principal_id, permission, principal_type);
+      }
+      policy.setPublicKey(principal_id, public_key);
+    });
+    
+    const shares = [];
+    const failures = [];
+    for (const { entry, envelope } of await this._policyHeads(policyId)) {
+      try {
+        const encryptedBlob = await this.storage.retrieve(envelope.cid);
+        const grant = await this._shareDataKey(envelope, encryptedBlob.key_id);
+        if (grant) shares.push(this._shareBundle(envelope.envelope_id, entry.envelope_cid, grant));
+      } catch (err) {
+        failures.push({ envelope_id: envelope.envelope_id, error: err.message });
+      }
+    }
+    
+    return { policy_id: policyId, policy_cid: updated.policy_cid, shares, failures };
+  }
+
+  /**
+   * Stop sharing a policy's memories with a principal
+   * Revokes the reader's permissions, then rotates the data key of every
+   * memory that was wrapped to them: the content is re-encrypted under a
+   * new key in a superseding child envelope, wrapped only to the
+   * remaining readers. Versions the reader could already decrypt stay
+   * readable to them.
+   * @returns {Object} { policy_id, policy_cid, rotated, failures }; each
+   *   rotated entry carries a new share bundle for the remaining readers
+   */
+  async removeReader(policyId, principalId) {
+    this._ensureWritable();
+    
+    const updated = await this.updatePolicy(policyId, policy => policy.revokeAll(principalId));
+    
+    const rotated = [];
+    const failures = [];
+    for (const { envelope } of await this._policyHeads(policyId)) {
+      if (!this.keyGrants.get(envelope.envelope_id)?.recipients.includes(principalId)) continue;
+      
+      try {
+        const blob = await this.encryption.decrypt(await this.storage.retrieve(envelope.cid), {
+          aad: { envelope_id: envelope.envelope_id, content_hash: envelope.content_hash }
+        });
+        const { child, childCid, keyId, grant } = await this._reencryptAsChild(envelope, blob);
+        
+        rotated.push({
+          envelope_id: child.envelope_id,
+          envelope_cid: childCid,
+          supersedes: envelope.envelope_id,
+          key_id: keyId,
+          share: grant?.recipients.length ? this._shareBundle(child.envelope_id, childCid, grant) : null
+        });
+      } catch (err) {
+        failures.push({ envelope_id: envelope.envelope_id, error: err.message });
+      }
+    }
+    
+    return { policy_id: policyId, policy_cid: updated.policy_cid, rotated, failures };
+  }
+
+  /**
+   * Accept a memory shared with this agent (a bundle from addReader)
+   * Records its key grant and policy and indexes its envelope, so load()
+   * and context packs can read it. The sharer's signing key must be
+   * trusted (trustAttester) for its signed policy to load.
+   * @param {Object} bundle - { envelope_cid, key_grant_cid, policy_cid }
+   * @returns {Object} { envelope_id, envelope_cid, policy_id, readable }
+   */
+  async acceptShare(bundle) {
+    this._ensureWritable();
+    
+    const envelope = MemoryEnvelope.fromJSON(await this.storage.retrieve(bundle.envelope_cid));
+    const grant = await this.storage.retrieve(bundle.key_grant_cid);
+    if (grant?.object_type !== 'key_grant' || grant.envelope_id !== envelope.envelope_id) {
+      throw new Error(`${bundle.key_grant_cid} is not a key grant for envelope ${envelope.envelope_id}`);
+    }
+    
+    if (bundle.policy_cid) {
+      const policy = AccessPolicy.fromJSON(await this.storage.retrieve(bundle.policy_cid));
+      if (policy.policy_id !== policyIdOf(envelope.access_policy_ref)) {
+        throw new Error(`Policy ${policy.policy_id} does not govern envelope ${envelope.envelope_id}`);
+      }
+      await this.policies.record(policy, bundle.policy_cid);
+    }
+    
+    await this.keyGrants.record(grant, bundle.key_grant_cid);
+    await this.index.add(bundle.envelope_cid, envelope);
+    
+    const ourKey = await this.encryption.getBoxPublicKey();
+    return {
+      envelope_id: envelope.envelope_id,
+      envelope_cid: bundle.envelope_cid,
+      policy_id: policyIdOf(envelope.access_policy_ref),
+      readable: grant.wraps.some(wrap => wrap.public_key === ourKey)
+    };
+  }
+
+  /**
+   * List key grants (memories shared by or with this agent)
+   */
+  listKeyGrants() {
+    this._ensureInit();
+    return this.keyGrants.list();
+  }
+
+  /**
+   * Trust an attester's Ed25519 public key for verification
+   * @param {string} attesterId - Kernel, host or witness ID
+   * @param {Uint8Array|string} publicKey - Raw or base64 public key
+   * @param {Object} options - { attesterType, label, pinned }
+   */
+  async trustAttester(attesterId, publicKey, options = {}) {
+    this._ensureWritable();
+    return this.trustStore.add(attesterId, publicKey, options);
+  }
+
+  /**
+   * Revoke trust in an attester; its signatures stop verifying,
+   * including tombstones and updates it signed
+   */
+  async revokeAttester(attesterId, reason = 'revoked') {
+    this._ensureWritable();
+    return this.trustStore.revoke(attesterId, reason);
+  }
+
+  /**
+   * List trust store entries
+   */
+  listAttesters() {
+    this._ensureInit();
+    return this.trustStore.list();
+  }
+
+  /**
+   * Revoke a memory (create tombstone)
+   */
+  async revoke(envelopeCid, reason = 'user_request') {
+    this._ensureWritable();
+    
+    // Load original envelope
+    const envelopeData = await this.storage.retrieve(envelopeCid);
+    const envelope = MemoryEnvelope.fromJSON(envelopeData);
+    
+    // Create tombstone
+    const tombstone = envelope.createTombstone(reason);
+    await this._signEnvelope(tombstone);
+    
+    // Store tombstone
+    const tombstoneCid = await this._recordEnvelope(tombstone);
+    
+    return {
+      tombstone_id: tombstone.envelope_id,
+      tombstone_cid: tombstoneCid,
+      revokes: envelope.envelope_id,
+      reason: reason
+    };
+  }
+
+  /**
+   * Crypto-shred a memory: destroy its blob's data key so the content can
+   * never be decrypted again. The envelope stays in place as proof the
+   * memory existed, and a signed tombstone records the shred.
+   * A shared memory's key grants (every version, with the readers' wrapped
+   * copies of the key) are deleted too, so only local storage can shred them.
+   */
+  async shred(envelopeCid, reason = 'user_request') {
+    this._ensureWritable();
+    
+    // Load original envelope
+    const envelopeData = await this.storage.retrieve(envelopeCid);
+    const envelope = MemoryEnvelope.fromJSON(envelopeData);
+    
+    if (envelope.isTombstone()) {
+      throw new Error('Cannot shred a tombstone');
+    }
+    
+    // Find the blob's data key
+    const encryptedBlob = await this.storage.retrieve(envelope.cid);
+    if (!encryptedBlob.key_id) {
+      throw new Error(
+        `Blob ${envelope.cid} is encrypted with the master key and cannot be shredded individually; use revoke()`
+      );
+    }
+    
+    // Readers' wrapped copies of the key must be deletable as well
+    const grant = this.keyGrants.get(envelope.envelope_id);
+    if (grant && this.storage.provider !== 'local') {
+      const err = new Error(
+        `Memory ${envelope.envelope_id} is shared and its key grants cannot be deleted from ` +
+        `${this.storage.provider} storage; readers would keep the data key`
+      );
+      err.code = 'SHRED_SHARED_UNSUPPORTED';
+      throw err;
+    }
+    
+    // Destroy the data key
+    const destruction = await this.encryption.destroyDataKey(encryptedBlob.key_id);
+    
+    // Delete the key grants
+    const grantCids = grant ? [...grant.history, grant.cid] : [];
+    for (const grantCid of grantCids) {
+      await this.storage.remove(grantCid);
+    }
+    await this.keyGrants.remove(envelope.envelope_id);
+    
+    // Record the shred in a signed tombstone
+    const tombstone = envelope.createTombstone(reason, {
+      revocation_method: 'crypto_shred',
+      shredded_key_id: encryptedBlob.key_id
+    });
+    await this._signEnvelope(tombstone);
+    
+    const tombstoneCid = await this._recordEnvelope(tombstone);
+    
+    return {
+      tombstone_id: tombstone.envelope_id,
+      tombstone_cid: tombstoneCid,
+      shredded: envelope.envelope_id,
+      key_id: encryptedBlob.key_id,
+      key_destroyed: destruction.destroyed,
+      shared_with: grant?.recipients || [],
+      key_grants_deleted: grantCids.length,
+      reason: reason,
+      shredded_at: destruction.destroyed_at
+    };
+  }
+
+  /**
+   * Rotate the master key without data loss
+   * 1. Create a new key generation (older ones stay readable)
+   * 2. Re-wrap every per-blob data key under it
+   * 3. Re-encrypt blobs sealed directly with an old master key, storing each
+   *    under a superseding child envelope with the same content_hash
+   * 4. Retire the old generations
+   * An interrupted rotation resumes where it left off when called again.
+   *
+   * @param {Object} options - { onProgress: ({ phase, processed, total }) => void }
+   */
+  async rotateKey(options = {}) {
+    this._ensureWritable();
+    
+    const { onProgress = null } = options;
+    
+    const migration = await this.encryption.beginRotation();
+    const dataKeys = await this.encryption.rewrapDataKeys(onProgress);
+    
+    // Re-seal the kernel signing key under the new master key
+    const kernelPath = this.config.identity.kernel_path.replace('~', process.env.HOME);
+    await this.identity.saveKeypair(kernelPath, this.encryption);
+    
+    // Latest, unrevoked versions are the only blobs worth carrying forward
+    const heads = await this._headEntries();
+    
+    let reencrypted = 0;
+    const failures = [];
+    
+    for (const [i, entry] of heads.entries()) {
+      try {
+        const encryptedBlob = await this.storage.retrieve(entry.blob_cid);
+        
+        if (!encryptedBlob.key_id?.startsWith('dk_')) {
+          const original = MemoryEnvelope.fromJSON(
+            await this.storage.retrieve(entry.envelope_cid)
+          );
+          const blob = await this.encryption.decrypt(encryptedBlob, {
+            aad: { envelope_id: original.envelope_id, content_hash: original.content_hash }
+          });
+          
+          await this._reencryptAsChild(original, blob);
+          reencrypted++;
+        }
+      } catch (err) {
+        failures.push({ envelope_id: entry.envelope_id, error: err.message });
+      }
+      
+      onProgress?.({ phase: 'blobs', processed: i + 1, total: heads.length, envelope_id: entry.envelope_id });
+    }
+    
+    // Old keys stay active until every blob has migrated
+    const completed = failures.length === 0
+      ? await this.encryption.completeRotation()
+      : null;
+    
+    return {
+      key_id: migration.to,
+      previous_key_ids: migration.from,
+      data_keys_rewrapped: dataKeys.rewrapped,
+      blobs_reencrypted: reencrypted,
+      failures,
+      completed_at: completed?.completed_at || null
+    };
+  }
+
+  /**
+   * Permanently delete retired master keys
+   * rotateKey only re-encrypts the latest version of each memory, so the
+   * purge is refused while any older version is still sealed directly
+   * under a retired key.
+   * @returns {string[]} Purged key IDs
+   * @throws KEYS_IN_USE (err.envelopes set) if a stored blob still needs a retired key
+   */
+  async purgeRetiredKeys() {
+    this._ensureWritable();
+    
+    const retired = this.encryption.getKeyStatus().generations
+      .filter(key => key.status === 'retired')
+      .map(key => key.key_id);
+    
+    const envelopes = [];
+    for (const entry of this.index.query()) {
+      if (entry.kind === 'tombstone') continue;
+      
+      const blob = await this.storage.retrieve(entry.blob_cid).catch(() => null);
+      if (blob && retired.includes(await this.encryption.keyGeneration(blob))) {
+        envelopes.push(entry.envelope_id);
+      }
+    }
+    
+    if (envelopes.length > 0) {
+      const err = new Error(
+        `Cannot purge retired keys: ${envelopes.length} stored version(s) are still encrypted under them`
+      );
+      err.code = 'KEYS_IN_USE';
+      err.envelopes = envelopes;
+      throw err;
+    }
+    
+    return this.encryption.purgeRetiredKeys();
+  }
+
+  /**
+   * Re-sign envelopes whose local attestations were made over
+   * pre-canonicalization JSON. The re-signed envelope is stored under a
+   * new CID and replaces the old one in the index; the old copy still
+   * verifies through the legacy fallback. Attestations from other parties
+   * cannot be re-signed and are reported instead.
+   */
+  async migrateSignatures() {
+    this._ensureWritable();
+    
+    const ownIds = this._ownKernelIds();
+    const secretKey = this.identity._keypair?.secretKey;
+    const report = { checked: 0, migrated: [], foreign_legacy: [] };
+    
+    for (const entry of this.index.query()) {
+      report.checked++;
+      
+      const envelope = MemoryEnvelope.fromJSON(
+        await this.storage.retrieve(entry.envelope_cid)
+      );
+      const verification = await envelope.verify(this.encryption, this.trustStore);
+      const legacy = (verification.attestations || [])
+        .filter(r => r.signature_format === 'legacy');
+      
+      if (legacy.length === 0) continue;
+      
+      let resigned = 0;
+      for (const result of legacy) {
+        if (!ownIds.includes(result.attester)) {
+          report.foreign_legacy.push({ envelope_id: envelope.envelope_id, attester: result.attester });
+          continue;
+        }
+        
+        const attestation = envelope.attestations
+          .find(a => a.attestation_id === result.attestation_id);
+        attestation.signature = await this.encryption.sign(envelope.getSignableData(), secretKey);
+        resigned++;
+      }
+      
+      if (resigned === 0) continue;
+      
+      const envelopeCid = await this._recordEnvelope(envelope);
+      report.migrated.push({
+        envelope_id: envelope.envelope_id,
+        previous_cid: entry.envelope_cid,
+        envelope_cid: envelopeCid
+      });
+    }
+    
+    return report;
+  }
+
+  /**
+   * Get current status
+   */
+  async status() {
+    const storageConnected = this.storage ? 
+      await this.storage.isConnected() : false;
+    
+    return {
+      initialized: this.initialized,
+      mlp_version: CURRENT_VERSION,
+      supported_versions: supportedVersions(),
+      identity: this.identity?.getSummary() || null,
+      kernel_verification: this.kernelVerification,
+      read_only: this.kernelVerification?.action === 'read_only' ||
+        Boolean(this.ledger && !this.ledger.verification.valid),
+      storage: {
+        provider: this.config?.storage?.provider || 'unknown',
+        connected: storageConnected
+      },
+      index: {
+        envelopes: this.index?.size || 0,
+        updated_at: this.index?.updated_at || null
+      },
+      host: this.host?.getDescriptor() || null,
+      trust_store: {
+        attesters: this.trustStore?.entries.size || 0
+      },
+      policies: {
+        count: this.policies?.entries.size || 0,
+        default_policy: this.config?.access?.default_policy || null
+      },
+      key_grants: {
+        count: this.keyGrants?.entries.size || 0
+      },
+      validation: {
+        mode: this.config?.validation?.mode || 'lenient'
+      },
+      ledger: this.ledger ? {
+        provider: this.ledger.provider,
+        length: this.ledger.length,
+        head_hash: this.ledger.verification.head_hash,
+        valid: this.ledger.verification.valid,
+        checked_at: this.ledger.verification.checked_at,
+        ...(!this.ledger.verification.valid && {
+          broken_at: this.ledger.verification.broken_at,
+          reason: this.ledger.verification.reason
+        })
+      } : null,
+      encryption: {
+        keys_exist: this.encryption ? await this.encryption.keysExist() : false,
+        ...(this.encryption?.keyring && this.encryption.getKeyStatus())
+      },
+      config_path: this.config?.configPath
     };
   }
 }
 
-export { IdentityKernel, MemoryEnvelope, Storage, Encryption, Config };
+function describeKernelStatus(status) {
+  return status === 'unsigned' ? 'is unsigned' : 'has an invalid signature';
+}
+
+/**
+ * Signature status of an imported kernel, checked against its embedded
+ * public_key ('unsigned' only if it carries neither key nor signature)
+ */
+async function importedKernelStatus(kernel, encryption) {
+  if (!kernel.signature || !kernel.public_key) {
+    return kernel.signature || kernel.public_key ? 'invalid' : 'unsigned';
+  }
+  
+  const publicKey = new Uint8Array(Buffer.from(kernel.public_key, 'base64'));
+  return (await kernel.verify(encryption, publicKey)) ? 'valid' : 'invalid';
+}
+
+function describeLedgerProblem({ broken_at, reason }) {
+  return `chain is broken at sequence ${broken_at} (${reason})`;
+}
+
+/**
+ * Inheritance layer a stored policy is configured for, if any
+ */
+function layerOf(policyId, access) {
+  const [layer] = Object.entries(LAYER_CONFIG_KEYS)
+    .find(([, key]) => access[key] === policyId) || [null];
+  return layer;
+}
+
+function assertValidPolicy(policy) {
+  const { valid, errors } = policy.validate();
+  if (!valid) {
+    const err = new Error(`Invalid access policy: ${errors.join('; ')}`);
+    err.code = 'POLICY_INVALID';
+    throw err;
+  }
+}
+
+export { IdentityKernel, HostIdentity, MemoryEnvelope, EnvelopeIndex, LineageGraph, TrustStore, PolicyStore, policyRef, policyIdOf, KeyGrantStore, Ledger, LocalLedger, LocalWitness, AccessPolicy, Storage, Encryption, Config };
 export default MLP;
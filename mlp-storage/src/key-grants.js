@@ -0,0 +1,119 @@
+/**
+ * KeyGrantStore - Local registry of shared data key grants
+ *
+ * A key grant is a storage object holding a blob's data key wrapped to
+ * each reader's X25519 public key (see Encryption.wrapDataKeyFor). It
+ * lives beside the blob, not inside it, so adding a reader stores a new
+ * grant instead of re-encrypting content. The registry maps an envelope
+ * ID to the CID of its latest grant (and keeps the earlier ones), for the
+ * owner and for readers who accepted a share.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { CURRENT_VERSION } from './versioning.js';
+
+const KEY_GRANT_STORE_VERSION = 1;
+
+/**
+ * Build a key grant object for storage
+ * @param {Object} fields - { envelope_id, key_id, policy_id, wraps }
+ */
+export function createKeyGrant({ envelope_id, key_id, policy_id = null, wraps = [] }) {
+  return {
+    mlp_version: CURRENT_VERSION,
+    object_type: 'key_grant',
+    envelope_id,
+    key_id,
+    policy_id,
+    wraps,
+    created_at: new Date().toISOString()
+  };
+}
+
+export class KeyGrantStore {
+  constructor(path) {
+    this.path = path;
+    this.entries = new Map();  // envelope_id -> entry
+  }
+
+  /**
+   * Load registry from disk (empty if missing)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.entries = new Map(Object.entries(data.grants || {}));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.entries = new Map();
+    }
+    return this;
+  }
+
+  /**
+   * Save registry to disk
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      key_grant_store_version: KEY_GRANT_STORE_VERSION,
+      updated_at: new Date().toISOString(),
+      grants: Object.fromEntries(this.entries)
+    }, null, 2));
+  }
+
+  /**
+   * Record a stored grant as the latest for its envelope
+   *
+   * @param {Object} grant - Key grant that was stored
+   * @param {string} cid - CID it was stored under
+   */
+  async record(grant, cid) {
+    const existing = this.entries.get(grant.envelope_id);
+    const history = [...(existing?.history || [])];
+    if (existing && existing.cid !== cid) {
+      history.push(existing.cid);
+    }
+
+    const entry = {
+      envelope_id: grant.envelope_id,
+      key_id: grant.key_id,
+      policy_id: grant.policy_id,
+      cid,
+      recipients: grant.wraps.map(wrap => wrap.principal_id),
+      updated_at: grant.created_at,
+      history
+    };
+
+    this.entries.set(grant.envelope_id, entry);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Get a grant entry
+   */
+  get(envelopeId) {
+    return this.entries.get(envelopeId) || null;
+  }
+
+  /**
+   * List grant entries
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Forget an envelope's grant
+   * @returns {boolean} false if there was none
+   */
+  async remove(envelopeId) {
+    const removed = this.entries.delete(envelopeId);
+    if (removed) await this.save();
+    return removed;
+  }
+}
+
+export default KeyGrantStore;
@@ -0,0 +1,94 @@
+/**
+ * DataKeyStore - Local store for wrapped per-blob data keys
+ *
+ * Each MemoryBlob is encrypted with its own random data key. The data
+ * key is wrapped (encrypted) by the master key and kept here, never in
+ * the blob itself, so destroying the wrapped key crypto-shreds exactly
+ * one blob while its envelope stays on the ledger.
+ */
+
+import { readFile, writeFile, mkdir, readdir, unlink } from 'fs/promises';
+import { join } from 'path';
+
+export class DataKeyStore {
+  constructor(path) {
+    this.path = path;
+  }
+
+  _keyFile(keyId) {
+    // Key IDs are generated locally; refuse anything path-like
+    if (!/^[\w-]+$/.test(keyId)) {
+      throw new Error(`Invalid data key ID: ${keyId}`);
+    }
+    return join(this.path, `${keyId}.json`);
+  }
+
+  /**
+   * Save a wrapped data key record
+   */
+  async put(record) {
+    await mkdir(this.path, { recursive: true });
+
+    const keyFile = this._keyFile(record.key_id);
+    await writeFile(keyFile, JSON.stringify(record, null, 2));
+
+    const { chmod } = await import('fs/promises');
+    await chmod(keyFile, 0o600);
+
+    return record;
+  }
+
+  /**
+   * Get a wrapped data key record
+   * @returns {Object|null} null if the key does not exist (or was destroyed)
+   */
+  async get(keyId) {
+    try {
+      return JSON.parse(await readFile(this._keyFile(keyId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Check if a data key exists
+   */
+  async exists(keyId) {
+    return (await this.get(keyId)) !== null;
+  }
+
+  /**
+   * Destroy a wrapped data key
+   * Overwrites the record before unlinking (best effort on local disks).
+   * @returns {boolean} false if the key did not exist
+   */
+  async destroy(keyId) {
+    const keyFile = this._keyFile(keyId);
+    const record = await this.get(keyId);
+
+    if (!record) return false;
+
+    const size = JSON.stringify(record, null, 2).length;
+    await writeFile(keyFile, Buffer.alloc(size));
+    await unlink(keyFile);
+
+    return true;
+  }
+
+  /**
+   * List all data key IDs
+   */
+  async list() {
+    try {
+      const files = await readdir(this.path);
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.replace('.json', ''));
+    } catch {
+      return [];
+    }
+  }
+}
+
+export default DataKeyStore;
@@ -0,0 +1,251 @@
+/**
+ * Ledger - Append-only, hash-chained log of envelopes and tombstones
+ *
+ * Write flow step 7: every envelope MLP stores (new memories, updates,
+ * derivatives, countersigned copies, tombstones) is appended as a ledger
+ * entry with a sequence number. Each entry's hash covers the previous
+ * entry's hash, so editing, reordering or deleting an entry breaks the
+ * chain, which is detected when the ledger is opened.
+ *
+ * Ledger holds the chain checks and queries shared by every backend;
+ * LocalLedger stores entries as JSON lines on disk. A network ledger
+ * only needs to implement open() and append().
+ */
+
+import { readFile, writeFile, appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+import { canonicalize } from './canonical.js';
+
+const LEDGER_VERSION = 1;
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+export class Ledger {
+  constructor() {
+    this.entries = [];         // Ordered by sequence (1-based)
+    this.verification = null;  // Result of the last chain check
+  }
+
+  /**
+   * Load entries and check the chain
+   * @returns {Object} Verification result (see verifyEntries)
+   */
+  async open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * Append an envelope or tombstone
+   * @returns {Object} The new entry
+   */
+  async append(envelope, envelopeCid) {
+    throw new Error(`${this.constructor.name} does not implement append()`);
+  }
+
+  /**
+   * Re-read the ledger and check the chain again
+   */
+  async verify() {
+    return this.open();
+  }
+
+  /**
+   * Build the next entry for an envelope (does not record it)
+   * @param {MemoryEnvelope|Object} envelope - Envelope as stored
+   * @param {string} envelopeCid - CID it was stored under
+   */
+  createEntry(envelope, envelopeCid) {
+    if (this.verification && !this.verification.valid) {
+      const err = new Error(
+        `Ledger chain is broken at sequence ${this.verification.broken_at} ` +
+        `(${this.verification.reason}); refusing to append`
+      );
+      err.code = 'LEDGER_TAMPERED';
+      throw err;
+    }
+
+    const data = typeof envelope.toJSON === 'function' ? envelope.toJSON() : envelope;
+    const previous = this.entries[this.entries.length - 1];
+
+    const entry = {
+      ledger_version: LEDGER_VERSION,
+      sequence: this.entries.length + 1,
+      entry_type: data.kind === 'tombstone' ? 'tombstone' : 'envelope',
+      envelope_id: data.envelope_id,
+      envelope_cid: envelopeCid,
+      envelope: data,
+      recorded_at: new Date().toISOString(),
+      prev_hash: previous?.entry_hash || GENESIS_HASH
+    };
+    entry.entry_hash = hashEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Check sequence numbers, hashes and links between entries
+   * @param {Object[]} entries - Entries in file order
+   * @param {Object} head - Optional { length, head_hash } recorded on the last
+   *   append, so a truncated ledger is detected too ({ unreadable: true } if
+   *   the record could not be parsed)
+   * @returns {Object} { valid, length, head_hash, checked_at, broken_at, reason }
+   */
+  verifyEntries(entries, head = null) {
+    let problem = null;
+    let previousHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length && !problem; i++) {
+      const entry = entries[i];
+      const sequence = i + 1;
+
+      if (!entry || entry.sequence !== sequence) {
+        problem = { broken_at: sequence, reason: 'sequence out of order' };
+      } else if (entry.prev_hash !== previousHash) {
+        problem = { broken_at: sequence, reason: 'prev_hash does not match the previous entry' };
+      } else if (hashEntry(entry) !== entry.entry_hash) {
+        problem = { broken_at: sequence, reason: 'entry_hash does not match its contents' };
+      }
+      previousHash = entry?.entry_hash;
+    }
+
+    if (!problem && head?.unreadable) {
+      problem = { broken_at: entries.length, reason: 'recorded head is unreadable' };
+    } else if (!problem && head?.length) {
+      if (head.length > entries.length) {
+        problem = { broken_at: entries.length + 1, reason: `truncated: the recorded head is entry ${head.length}` };
+      } else if (entries[head.length - 1].entry_hash !== head.head_hash) {
+        problem = { broken_at: head.length, reason: 'head_hash does not match the recorded head' };
+      }
+    }
+
+    return {
+      valid: !problem,
+      length: entries.length,
+      head_hash: entries[entries.length - 1]?.entry_hash || GENESIS_HASH,
+      checked_at: new Date().toISOString(),
+      ...problem
+    };
+  }
+
+  /**
+   * Get an entry by sequence number
+   */
+  get(sequence) {
+    return this.entries[sequence - 1] || null;
+  }
+
+  /**
+   * Latest entry (null if empty)
+   */
+  head() {
+    return this.entries[this.entries.length - 1] || null;
+  }
+
+  /**
+   * Query entries in sequence order
+   * @param {Object} filters - { from, to (sequence numbers, inclusive),
+   *   since, until (recorded_at), envelope_id, entry_type, limit }
+   */
+  query(filters = {}) {
+    const { from = 1, to = Infinity, since = null, until = null, envelope_id = null, entry_type = null, limit = null } = filters;
+    const sinceTime = since ? new Date(since).getTime() : -Infinity;
+    const untilTime = until ? new Date(until).getTime() : Infinity;
+
+    const results = this.entries.filter(entry => {
+      const recordedAt = new Date(entry.recorded_at).getTime();
+      return entry.sequence >= from && entry.sequence <= to &&
+        recordedAt >= sinceTime && recordedAt <= untilTime &&
+        (!envelope_id || entry.envelope_id === envelope_id) &&
+        (!entry_type || entry.entry_type === entry_type);
+    });
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+}
+
+export class LocalLedger extends Ledger {
+  /**
+   * @param {string} path - JSON lines file; the head is kept beside it
+   */
+  constructor(path) {
+    super();
+    this.provider = 'local';
+    this.path = path;
+    this.headPath = path.replace(/\.jsonl$/, '') + '.head.json';
+  }
+
+  async open() {
+    const lines = (await readOptional(this.path) || '').split('\n').filter(line => line.trim());
+    this.entries = lines.map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;  // Reported as a broken entry
+      }
+    });
+
+    let head;
+    try {
+      head = JSON.parse(await readOptional(this.headPath) || 'null');
+    } catch {
+      head = { unreadable: true };
+    }
+    this.verification = this.verifyEntries(this.entries, head);
+    return this.verification;
+  }
+
+  async append(envelope, envelopeCid) {
+    const entry = this.createEntry(envelope, envelopeCid);
+
+    await mkdir(dirname(this.path), { recursive: true });
+    await appendFile(this.path, JSON.stringify(entry) + '\n');
+    this.entries.push(entry);
+
+    await writeFile(this.headPath, JSON.stringify({
+      ledger_version: LEDGER_VERSION,
+      length: entry.sequence,
+      head_hash: entry.entry_hash,
+      updated_at: entry.recorded_at
+    }, null, 2));
+    this.verification = { ...this.verification, length: entry.sequence, head_hash: entry.entry_hash };
+
+    return entry;
+  }
+}
+
+/**
+ * Open the ledger for a config section
+ * @param {Object} config - { provider: 'local', path }
+ */
+export async function openLedger(config = {}) {
+  if (config.provider && config.provider !== 'local') {
+    console.warn(`Ledger provider ${config.provider} not yet implemented, falling back to local ledger`);
+  }
+
+  const ledger = new LocalLedger((config.path || '~/.config/mlp/ledger.jsonl').replace('~', process.env.HOME));
+  await ledger.open();
+  return ledger;
+}
+
+/**
+ * SHA-256 over the canonical form of an entry without its own hash
+ */
+function hashEntry({ entry_hash, ...entry }) {
+  return createHash('sha256').update(canonicalize(entry)).digest('hex');
+}
+
+async function readOptional(path) {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return null;
+  }
+}
+
+export default Ledger;
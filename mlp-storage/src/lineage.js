@@ -0,0 +1,289 @@
+/**
+ * LineageGraph - Provenance traversal over envelope lineage
+ *
+ * Built from envelope index entries. Edges point from an envelope to
+ * the envelopes it references in lineage.parents, lineage.supersedes
+ * and lineage.branches. Traversal is structural: signatures are not
+ * checked here (MLP.load does verified version resolution).
+ */
+
+const EDGE_TYPES = {
+  parents: 'derives_from',
+  supersedes: 'supersedes',
+  branches: 'branch'
+};
+
+export class LineageGraph {
+  /**
+   * @param {Object[]} entries - EnvelopeIndex entries
+   */
+  constructor(entries = []) {
+    this.nodes = new Map();     // envelope_id -> entry
+    this.outgoing = new Map();  // envelope_id -> [{ to, type }]
+    this.incoming = new Map();  // envelope_id -> [{ from, type }]
+
+    for (const entry of entries) {
+      this.nodes.set(entry.envelope_id, entry);
+    }
+
+    for (const entry of entries) {
+      for (const [field, type] of Object.entries(EDGE_TYPES)) {
+        for (const target of entry[field] || []) {
+          this._addEdge(entry.envelope_id, target, type);
+        }
+      }
+    }
+  }
+
+  _addEdge(from, to, type) {
+    if (!this.outgoing.has(from)) this.outgoing.set(from, []);
+    if (!this.incoming.has(to)) this.incoming.set(to, []);
+
+    this.outgoing.get(from).push({ to, type });
+    this.incoming.get(to).push({ from, type });
+  }
+
+  /**
+   * Check if an envelope is known to the graph
+   */
+  has(envelopeId) {
+    return this.nodes.has(envelopeId);
+  }
+
+  /**
+   * Envelopes this one was derived from or replaced, transitively
+   * ("where did this belief come from?")
+   * @returns {Object[]} [{ envelope_id, depth, via }] nearest first
+   */
+  getAncestors(envelopeId) {
+    return this._walk(envelopeId, id =>
+      (this.outgoing.get(id) || [])
+        .filter(e => e.type !== 'branch')
+        .map(e => ({ id: e.to, type: e.type }))
+    );
+  }
+
+  /**
+   * Envelopes derived from or replacing this one, transitively
+   * ("what was derived from this memory?")
+   * @returns {Object[]} [{ envelope_id, depth, via }] nearest first
+   */
+  getDescendants(envelopeId) {
+    return this._walk(envelopeId, id =>
+      (this.incoming.get(id) || [])
+        .filter(e => e.type !== 'branch')
+        .map(e => ({ id: e.from, type: e.type }))
+    );
+  }
+
+  /**
+   * Current head of the version chain: follow superseding
+   * non-tombstone envelopes to the newest one
+   */
+  getHead(envelopeId) {
+    const visited = new Set([envelopeId]);
+    let current = envelopeId;
+
+    while (true) {
+      const successors = (this.incoming.get(current) || [])
+        .filter(e => e.type === 'supersedes' && !visited.has(e.from))
+        .map(e => this.nodes.get(e.from))
+        .filter(entry => entry && entry.kind !== 'tombstone')
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+      if (successors.length === 0) return current;
+
+      current = successors[0].envelope_id;
+      visited.add(current);
+    }
+  }
+
+  /**
+   * Alternative interpretations of an envelope: envelopes linked by
+   * lineage.branches in either direction, plus siblings that share a
+   * parent without superseding one another
+   */
+  getBranches(envelopeId) {
+    const alternatives = new Set();
+
+    for (const edge of this.outgoing.get(envelopeId) || []) {
+      if (edge.type === 'branch' && this.has(edge.to)) alternatives.add(edge.to);
+    }
+    for (const edge of this.incoming.get(envelopeId) || []) {
+      if (edge.type === 'branch') alternatives.add(edge.from);
+    }
+
+    const related = new Set([
+      ...this.getAncestors(envelopeId).map(a => a.envelope_id),
+      ...this.getDescendants(envelopeId).map(d => d.envelope_id)
+    ]);
+
+    const parents = (this.outgoing.get(envelopeId) || [])
+      .filter(e => e.type === 'derives_from')
+      .map(e => e.to);
+
+    for (const parentId of parents) {
+      for (const edge of this.incoming.get(parentId) || []) {
+        if (edge.type !== 'derives_from') continue;
+        if (edge.from === envelopeId || related.has(edge.from)) continue;
+        alternatives.add(edge.from);
+      }
+    }
+
+    alternatives.delete(envelopeId);
+    return [...alternatives];
+  }
+
+  /**
+   * Lineage references pointing at envelopes that are not in the graph
+   * @returns {Object[]} [{ from, to, type }]
+   */
+  findDangling(envelopeIds = null) {
+    const dangling = [];
+    const sources = envelopeIds || [...this.nodes.keys()];
+
+    for (const from of sources) {
+      for (const edge of this.outgoing.get(from) || []) {
+        // Branch entries may be labels rather than envelope IDs
+        if (edge.type === 'branch') continue;
+        if (!this.has(edge.to)) {
+          dangling.push({ from, to: edge.to, type: edge.type });
+        }
+      }
+    }
+
+    return dangling;
+  }
+
+  /**
+   * Detect cycles in parent/supersedes edges
+   * @returns {string[][]} Each cycle as a list of envelope IDs
+   */
+  findCycles(envelopeIds = null) {
+    const cycles = [];
+    const state = new Map();  // envelope_id -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      for (const edge of this.outgoing.get(id) || []) {
+        if (edge.type === 'branch') continue;
+
+        if (state.get(edge.to) === 'visiting') {
+          cycles.push(stack.slice(stack.indexOf(edge.to)));
+        } else if (!state.has(edge.to)) {
+          visit(edge.to);
+        }
+      }
+
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    for (const id of envelopeIds || this.nodes.keys()) {
+      if (!state.has(id)) visit(id);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Describe the lineage component around an envelope as a graph
+   */
+  describe(envelopeId) {
+    if (!this.has(envelopeId)) {
+      throw new Error(`Envelope not found in lineage graph: ${envelopeId}`);
+    }
+
+    const ancestors = this.getAncestors(envelopeId);
+    const descendants = this.getDescendants(envelopeId);
+    const branches = this.getBranches(envelopeId);
+
+    const memberIds = new Set([
+      envelopeId,
+      ...ancestors.map(a => a.envelope_id),
+      ...descendants.map(d => d.envelope_id),
+      ...branches
+    ]);
+
+    const nodes = [...memberIds].map(id => this._node(id));
+
+    const edges = [];
+    for (const from of memberIds) {
+      for (const edge of this.outgoing.get(from) || []) {
+        if (memberIds.has(edge.to)) {
+          edges.push({ from, to: edge.to, type: edge.type });
+        }
+      }
+    }
+
+    return {
+      root: envelopeId,
+      head: this.getHead(envelopeId),
+      nodes,
+      edges,
+      ancestors,
+      descendants,
+      branches,
+      cycles: this.findCycles([...memberIds]),
+      dangling: this.findDangling([...memberIds])
+    };
+  }
+
+  _node(envelopeId) {
+    const entry = this.nodes.get(envelopeId);
+
+    if (!entry) {
+      return { envelope_id: envelopeId, missing: true };
+    }
+
+    return {
+      envelope_id: entry.envelope_id,
+      envelope_cid: entry.envelope_cid,
+      kind: entry.kind,
+      scope: entry.scope,
+      created_at: entry.created_at,
+      epoch_id: entry.epoch_id
+    };
+  }
+
+  /**
+   * Breadth-first walk, tolerant of cycles
+   */
+  _walk(startId, next) {
+    const results = [];
+    const visited = new Set([startId]);
+    let frontier = [startId];
+    let depth = 0;
+
+    while (frontier.length > 0) {
+      depth++;
+      const nextFrontier = [];
+
+      for (const id of frontier) {
+        for (const { id: neighbor, type } of next(id)) {
+          if (visited.has(neighbor)) continue;
+          visited.add(neighbor);
+
+          results.push({
+            envelope_id: neighbor,
+            depth,
+            via: type,
+            missing: !this.has(neighbor)
+          });
+
+          // Do not walk through envelopes we do not have
+          if (this.has(neighbor)) nextFrontier.push(neighbor);
+        }
+      }
+
+      frontier = nextFrontier;
+    }
+
+    return results;
+  }
+}
+
+export default LineageGraph;
@@ -0,0 +1,212 @@
+/**
+ * PolicyResolver - Layered policy inheritance
+ *
+ * Per MLP v0.2 "Policy Inheritance", four layers combine into one
+ * effective policy per envelope:
+ *
+ *   system_safety      Non-overridable safety rules (operator)
+ *   shared_consent     The envelope's own, possibly co-authored, policies
+ *   agent_constraints  Restrictions an agent places on its own memories
+ *   user_default       The user's baseline, for envelopes without a policy
+ *
+ * Grant layers (shared_consent, or user_default when there is no shared
+ * policy) decide who may do what; their owners keep full access. The
+ * restriction layers (agent_constraints, system_safety) can only narrow
+ * that through their constraints: intents, validity windows and
+ * redaction rules apply to everyone, owners included. Their permission
+ * maps are not consulted. Every policy in every applicable layer must
+ * allow an access, so no layer can loosen what system_safety denies.
+ */
+
+// Precedence order, also used to attribute decisions
+export const POLICY_LAYERS = ['system_safety', 'shared_consent', 'agent_constraints', 'user_default'];
+
+const RESTRICTION_LAYERS = ['system_safety', 'agent_constraints'];
+
+const SEVERITY = { full: 0, redacted: 1, denied: 2 };
+
+export class EffectivePolicy {
+  /**
+   * @param {Object} layers - layer name -> AccessPolicy[] (empty layers may be omitted)
+   */
+  constructor(layers = {}) {
+    const grantLayer = layers.shared_consent?.length ? 'shared_consent' : 'user_default';
+
+    this.layers = POLICY_LAYERS
+      .filter(layer => layer !== 'user_default' || grantLayer === 'user_default')
+      .filter(layer => layer !== 'shared_consent' || grantLayer === 'shared_consent')
+      .flatMap(layer => (layers[layer] || []).map(policy => ({ layer, policy })));
+
+    this.grantLayer = this.layers.some(l => l.layer === grantLayer) ? grantLayer : null;
+
+    // The envelope's governing policy (first grant policy), if any
+    this.policy_id = this.layers.find(l => l.layer === this.grantLayer)?.policy.policy_id || null;
+  }
+
+  /**
+   * Distinct policies taking part, in precedence order
+   */
+  get policies() {
+    const seen = new Set();
+    return this.layers
+      .map(l => l.policy)
+      .filter(policy => !seen.has(policy.policy_id) && seen.add(policy.policy_id));
+  }
+
+  /**
+   * Decide access for a principal and intent, layer by layer
+   * The most restrictive decision wins; on ties the higher-precedence
+   * layer is credited.
+   * @returns {Object} { level, reason, decided_by, policy_id, decisions }
+   */
+  evaluateAccess(principalId, intent) {
+    const decisions = this.layers.map(({ layer, policy }) => ({
+      layer,
+      policy_id: policy.policy_id,
+      ...(isRestriction(layer)
+        ? evaluateRestriction(policy, intent)
+        : policy.evaluateAccess(principalId, intent))
+    }));
+
+    if (decisions.length === 0) {
+      return { level: 'full', reason: null, decided_by: null, policy_id: null, decisions };
+    }
+
+    // If nothing restricts, the grant layer decided
+    const severity = Math.max(...decisions.map(d => SEVERITY[d.level]));
+    const decisive = severity === 0
+      ? decisions.find(d => d.layer === this.grantLayer) || decisions[0]
+      : decisions.find(d => SEVERITY[d.level] === severity);
+
+    return {
+      level: decisive.level,
+      reason: decisive.reason,
+      decided_by: decisive.layer,
+      policy_id: decisive.policy_id,
+      decisions
+    };
+  }
+
+  /**
+   * Check a permission against every grant policy
+   */
+  hasPermission(principalId, permission) {
+    return this.layers.every(({ layer, policy }) =>
+      isRestriction(layer) || policy.hasPermission(principalId, permission)
+    );
+  }
+
+  /**
+   * Redaction rules of every layer
+   */
+  get redactionRules() {
+    return this.layers.flatMap(({ policy }) => policy.redactionRules);
+  }
+
+  /**
+   * Fields redacted by any layer
+   */
+  get redactedFields() {
+    return [...new Set(this.layers.flatMap(({ policy }) => policy.redactedFields))];
+  }
+
+  /**
+   * Apply every redaction that binds the principal: grant-layer rules
+   * for non-owners, restriction-layer rules for everyone
+   */
+  applyRedaction(content, principalId = null) {
+    let redacted = content;
+
+    for (const { layer, policy } of this.layers) {
+      if (isRestriction(layer) || principalId !== policy.owner_id) {
+        redacted = policy.applyRedaction(redacted);
+      }
+    }
+    return redacted;
+  }
+
+  /**
+   * max_retrievals limits that bind a principal (grant-layer owners are exempt)
+   * @returns {Object[]} [{ layer, policy_id, max_retrievals }]
+   */
+  retrievalLimits(principalId) {
+    return this.layers
+      .filter(({ layer, policy }) =>
+        Number.isInteger(policy.constraints.max_retrievals) &&
+        (isRestriction(layer) || principalId !== policy.owner_id))
+      .map(({ layer, policy }) => ({
+        layer,
+        policy_id: policy.policy_id,
+        max_retrievals: policy.constraints.max_retrievals
+      }));
+  }
+
+  /**
+   * Constraints merged across layers, most restrictive first
+   */
+  get constraints() {
+    const all = this.layers.map(l => l.policy.constraints);
+    const defined = (key) => all.map(c => c[key]).filter(v => v !== undefined && v !== null);
+
+    const validFrom = defined('valid_from').sort().pop() ?? null;
+    const validUntil = defined('valid_until').sort()[0] ?? null;
+    const maxRetrievals = defined('max_retrievals');
+
+    return {
+      valid_from: validFrom,
+      valid_until: validUntil,
+      max_retrievals: maxRetrievals.length ? Math.min(...maxRetrievals) : null,
+      denied_intents: [...new Set(defined('denied_intents').flat())],
+      redaction_rules: defined('redaction_rules').flat()
+    };
+  }
+
+  toJSON() {
+    return {
+      policy_id: this.policy_id,
+      layers: this.layers.map(({ layer, policy }) => ({ layer, policy_id: policy.policy_id })),
+      constraints: this.constraints
+    };
+  }
+}
+
+/**
+ * Combine layer policies into an effective policy
+ * @param {Object} layers - layer name -> AccessPolicy or AccessPolicy[]
+ */
+export function resolvePolicy(layers = {}) {
+  const normalized = {};
+  for (const layer of POLICY_LAYERS) {
+    const value = layers[layer];
+    normalized[layer] = (Array.isArray(value) ? value : [value]).filter(Boolean);
+  }
+  return new EffectivePolicy(normalized);
+}
+
+function isRestriction(layer) {
+  return RESTRICTION_LAYERS.includes(layer);
+}
+
+/**
+ * Evaluate a restriction-layer policy: no owner exemptions
+ */
+function evaluateRestriction(policy, intent) {
+  const validity = policy.isValid();
+  if (!validity.valid) return { level: 'denied', reason: validity.reason };
+
+  if (!policy.isIntentAllowed(intent || '')) {
+    return { level: 'denied', reason: `Intent not allowed: ${intent || '(none)'}` };
+  }
+
+  if (policy.redactionRules.length > 0) {
+    return { level: 'redacted', reason: `Redaction of ${policy.redactedFields.join(', ')} applies to everyone` };
+  }
+
+  return { level: 'full', reason: null };
+}
+
+export default {
+  POLICY_LAYERS,
+  EffectivePolicy,
+  resolvePolicy
+};
@@ -0,0 +1,118 @@
+/**
+ * PolicyStore - Local registry of stored access policies
+ *
+ * Policies are signed and written to storage like any other object, so
+ * each version gets its own CID. Envelopes reference a policy by its
+ * stable policy_id as a urn:uuid: URI (see policyRef); the registry maps
+ * that ID to the CID of the latest
+ * version (and keeps the earlier ones), so updating a policy applies to
+ * every envelope that references it.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const POLICY_STORE_VERSION = 1;
+
+const REF_PREFIX = 'urn:uuid:';
+
+export class PolicyStore {
+  constructor(path) {
+    this.path = path;
+    this.entries = new Map();  // policy_id -> entry
+  }
+
+  /**
+   * Load registry from disk (empty if missing)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.entries = new Map(Object.entries(data.policies || {}));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.entries = new Map();
+    }
+    return this;
+  }
+
+  /**
+   * Save registry to disk
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      policy_store_version: POLICY_STORE_VERSION,
+      updated_at: new Date().toISOString(),
+      policies: Object.fromEntries(this.entries)
+    }, null, 2));
+  }
+
+  /**
+   * Record a stored policy version as the latest for its policy_id
+   *
+   * @param {AccessPolicy} policy - Policy that was stored
+   * @param {string} cid - CID it was stored under
+   */
+  async record(policy, cid) {
+    const existing = this.entries.get(policy.policy_id);
+    const history = [...(existing?.history || [])];
+    if (existing && existing.cid !== cid) {
+      history.push(existing.cid);
+    }
+
+    const entry = {
+      policy_id: policy.policy_id,
+      cid,
+      owner_id: policy.owner_id,
+      signed_by: policy.signed_by || null,
+      created_at: policy.created_at,
+      updated_at: policy.updated_at,
+      history
+    };
+
+    this.entries.set(policy.policy_id, entry);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Get a policy entry by policy ID or ref
+   */
+  get(policyId) {
+    return this.entries.get(policyIdOf(policyId)) || null;
+  }
+
+  /**
+   * List policy entries
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * CID of the latest version of a policy reference
+   * Unknown references are returned as-is: older envelopes point
+   * straight at a policy CID.
+   */
+  resolveCid(policyRef) {
+    const id = policyIdOf(policyRef);
+    return this.entries.get(id)?.cid || id;
+  }
+}
+
+/**
+ * An envelope's access_policy_ref for a policy ID
+ */
+export function policyRef(policyId) {
+  return policyId.startsWith(REF_PREFIX) ? policyId : `${REF_PREFIX}${policyId}`;
+}
+
+/**
+ * Policy ID behind a ref (older envelopes hold a bare ID or CID, returned as-is)
+ */
+export function policyIdOf(ref) {
+  return ref?.startsWith(REF_PREFIX) ? ref.slice(REF_PREFIX.length) : ref;
+}
+
+export default PolicyStore;
@@ -0,0 +1,291 @@
+/**
+ * Redaction - Deep, pattern-based redaction of memory content
+ *
+ * A redaction rule targets content by path or by detector:
+ *
+ *   { field: 'who' }                     top-level key
+ *   { path: 'people[*].contact.email' }  nested path; '*' matches any key
+ *                                        or index, [n] one array element
+ *   { detector: 'email' | 'phone' }      matches inside every string
+ *   { detector: 'names', names: [...] }  listed names, whole words
+ *   { detector: 'regex', regex, flags }  custom pattern inside strings
+ *
+ * and applies an action: mask (replace with `pattern`, default
+ * [REDACTED]), generalize (replace with [LABEL], e.g. [EMOTION]) or
+ * remove. Detectors may be combined with a path to scan only there.
+ * Structure is preserved: only the matched values or spans change, so
+ * "Alice said they were feeling anxious" becomes "[REDACTED] said they
+ * were feeling [EMOTION]".
+ *
+ * Values captured by path rules are also swept out of every other
+ * string in the content, so a redacted name cannot survive in a
+ * free-text field that repeats it.
+ */
+
+export const DETECTORS = ['email', 'phone', 'names', 'regex'];
+
+const DETECTOR_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,5}\)[\s.-]?|\d{2,5}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?!\w)/g
+};
+
+// Captured values shorter than this are too common to sweep reliably
+const MIN_SWEEP_LENGTH = 3;
+
+/**
+ * Apply redaction rules to content (object, array or plain text)
+ * @returns {*} Redacted copy; the input is not modified
+ */
+export function applyRedactionRules(content, rules = []) {
+  if (rules.length === 0) return content;
+
+  const captured = [];
+  const placeholders = new Set(rules.map(replacement));
+  let redacted = content;
+
+  for (const rule of rules) {
+    const segments = ruleSegments(rule);
+
+    if (rule.detector) {
+      const scan = (value) => mapStrings(value, text => redactText(text, rule, captured));
+      redacted = segments ? updatePath(redacted, segments, scan) : scan(redacted);
+    } else if (segments) {
+      redacted = updatePath(redacted, segments, (value) => {
+        captureValues(value, rule, captured, placeholders);
+        return rule.action === 'remove' ? REMOVE : replacement(rule);
+      });
+    }
+  }
+
+  return sweep(redacted, captured);
+}
+
+/**
+ * Values the rules would redact from content (for leak checks)
+ * @returns {Object[]} [{ field, value }] with field the rule's label
+ */
+export function collectRedactedValues(content, rules = []) {
+  const captured = [];
+
+  for (const rule of rules) {
+    const segments = ruleSegments(rule);
+
+    if (rule.detector) {
+      const scan = (value) => mapStrings(value, text => redactText(text, rule, captured));
+      segments ? updatePath(content, segments, scan) : scan(content);
+    } else if (segments) {
+      updatePath(content, segments, (value) => {
+        captureValues(value, rule, captured);
+        return value;
+      });
+    }
+  }
+
+  return captured.map(({ label, value }) => ({ field: label, value }));
+}
+
+/**
+ * Check a rule's shape
+ * @returns {string[]} Errors (empty if valid)
+ */
+export function validateRule(rule) {
+  const errors = [];
+
+  if (!rule.field && !rule.path && !rule.detector) {
+    errors.push('needs a field, path or detector');
+  }
+  if (rule.path !== undefined) {
+    try {
+      parsePath(rule.path);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (rule.detector !== undefined && !DETECTORS.includes(rule.detector)) {
+    errors.push(`detector must be one of ${DETECTORS.join(', ')}`);
+  }
+  if (rule.detector === 'names' && !(Array.isArray(rule.names) && rule.names.length > 0)) {
+    errors.push('names detector needs a non-empty names list');
+  }
+  if (rule.detector === 'regex') {
+    try {
+      new RegExp(rule.regex, regexFlags(rule.flags));
+    } catch (err) {
+      errors.push(`invalid regex: ${err.message}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a path like 'people[*].contact.email' into segments
+ * Numbers are array indexes; '*' matches any key or index.
+ */
+export function parsePath(path) {
+  if (typeof path !== 'string' || path.trim() === '') {
+    throw new Error(`Invalid redaction path: ${path}`);
+  }
+
+  const segments = [];
+  for (const part of path.split('.')) {
+    const match = /^([^[\]]*)((?:\[(?:\d+|\*)\])*)$/.exec(part);
+    if (!match || (match[1] === '' && match[2] === '')) {
+      throw new Error(`Invalid redaction path: ${path}`);
+    }
+
+    if (match[1] !== '') segments.push(match[1]);
+    for (const [, index] of match[2].matchAll(/\[(\d+|\*)\]/g)) {
+      segments.push(index === '*' ? '*' : Number(index));
+    }
+  }
+  return segments;
+}
+
+// Marker for values a remove action drops
+const REMOVE = Symbol('remove');
+
+function ruleSegments(rule) {
+  if (rule.path) return parsePath(rule.path);
+  if (rule.field) return [rule.field];
+  return null;
+}
+
+/**
+ * Label for generalize, e.g. [EMOTION]
+ */
+function ruleLabel(rule) {
+  if (rule.label) return rule.label.toUpperCase();
+  if (rule.field) return rule.field.toUpperCase();
+  if (rule.path) {
+    const key = parsePath(rule.path).filter(s => typeof s === 'string' && s !== '*').pop();
+    return (key || 'value').toUpperCase();
+  }
+  return rule.detector.toUpperCase();
+}
+
+function replacement(rule) {
+  if (rule.action === 'generalize') return `[${ruleLabel(rule)}]`;
+  return rule.pattern || '[REDACTED]';
+}
+
+/**
+ * Rebuild a value with fn applied at every node the path matches
+ */
+function updatePath(node, segments, fn) {
+  if (segments.length === 0) return fn(node);
+  if (node === null || typeof node !== 'object') return node;
+
+  const [segment, ...rest] = segments;
+
+  if (Array.isArray(node)) {
+    if (segment !== '*' && typeof segment !== 'number') return node;
+
+    const updated = node.map((item, i) =>
+      segment === '*' || segment === i ? updatePath(item, rest, fn) : item
+    );
+    return updated.filter(item => item !== REMOVE);
+  }
+
+  const updated = { ...node };
+  const keys = segment === '*' ? Object.keys(node) : [String(segment)];
+  for (const key of keys) {
+    if (!(key in node)) continue;
+
+    const value = updatePath(node[key], rest, fn);
+    if (value === REMOVE) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Apply fn to every string in a value (keys are left alone)
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Redact a detector's matches inside one string
+ */
+function redactText(text, rule, captured) {
+  const pattern = detectorPattern(rule);
+  const label = ruleLabel(rule);
+
+  return text.replace(pattern, (match) => {
+    captured.push({ label, value: match });
+    return rule.action === 'remove' ? '' : replacement(rule);
+  });
+}
+
+function detectorPattern(rule) {
+  if (rule.detector === 'names') {
+    const names = rule.names
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+  if (rule.detector === 'regex') {
+    return new RegExp(rule.regex, regexFlags(rule.flags));
+  }
+
+  const pattern = DETECTOR_PATTERNS[rule.detector];
+  return new RegExp(pattern.source, pattern.flags);
+}
+
+function regexFlags(flags = '') {
+  return flags.includes('g') ? flags : `${flags}g`;
+}
+
+/**
+ * Record the string and number leaves of a redacted value
+ * Placeholders left by earlier rules are not values to sweep.
+ */
+function captureValues(value, rule, captured, placeholders = new Set()) {
+  const label = ruleLabel(rule);
+
+  if (placeholders.has(value)) return;
+  if (typeof value === 'string' || typeof value === 'number') {
+    captured.push({ label, value: String(value), replacement: rule.action === 'remove' ? '' : replacement(rule) });
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) captureValues(item, rule, captured, placeholders);
+  }
+}
+
+/**
+ * Replace captured path values wherever else they appear in strings
+ */
+function sweep(content, captured) {
+  const values = captured
+    .filter(c => c.replacement !== undefined && c.value.length >= MIN_SWEEP_LENGTH)
+    .sort((a, b) => b.value.length - a.value.length);
+  if (values.length === 0) return content;
+
+  return mapStrings(content, text => {
+    let swept = text;
+    for (const { value, replacement: with_ } of values) {
+      swept = swept.split(value).join(with_);
+    }
+    return swept;
+  });
+}
+
+export default {
+  DETECTORS,
+  applyRedactionRules,
+  collectRedactedValues,
+  validateRule,
+  parsePath
+};
@@ -0,0 +1,69 @@
+/**
+ * RetrievalCounter - Persistent per-policy, per-principal read counts
+ *
+ * Backs AccessPolicy constraints.max_retrievals: every read a policy
+ * limits is counted against that policy and the reading principal, and
+ * the counts survive restarts. Once a principal has used up a policy's
+ * quota, every memory under that policy stays unreadable to them
+ * ("burn after N reads").
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const RETRIEVAL_COUNTER_VERSION = 1;
+
+export class RetrievalCounter {
+  constructor(path) {
+    this.path = path;
+    this.counts = {};  // policy_id -> principal_id -> { count, first_at, last_at }
+  }
+
+  /**
+   * Load counts from disk (empty if missing)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.counts = data.counts || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.counts = {};
+    }
+    return this;
+  }
+
+  /**
+   * Save counts to disk
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      retrieval_counter_version: RETRIEVAL_COUNTER_VERSION,
+      updated_at: new Date().toISOString(),
+      counts: this.counts
+    }, null, 2));
+  }
+
+  /**
+   * Number of counted reads of a policy's memories by a principal
+   */
+  count(policyId, principalId) {
+    return this.counts[policyId]?.[principalId]?.count || 0;
+  }
+
+  /**
+   * Count one read (in memory; call save() to persist)
+   * @returns {number} New count
+   */
+  increment(policyId, principalId) {
+    const now = new Date().toISOString();
+    const entry = (this.counts[policyId] ||= {})[principalId] ||= { count: 0, first_at: now };
+
+    entry.count += 1;
+    entry.last_at = now;
+    return entry.count;
+  }
+}
+
+export default RetrievalCounter;
@@ -0,0 +1,226 @@
+/**
+ * Revocation - Supersession resolution across the store
+ *
+ * Per MLP v0.2 "Revocation and Deletion": conforming implementations
+ * MUST treat tombstoned envelopes as invalid. An envelope counts as
+ * revoked once a tombstone with a valid signature supersedes it, and
+ * as outdated once a valid signed update (child envelope) supersedes it.
+ * A tombstone or update only counts if its signer authored the envelope
+ * it supersedes, or holds revoke (tombstones), write (updates) or admin
+ * permission in that envelope's policy.
+ */
+
+import { MemoryEnvelope } from './envelope.js';
+
+/**
+ * Resolve which envelopes are revoked by valid tombstones
+ *
+ * @param {Object} options
+ * @param {Object} options.index - EnvelopeIndex
+ * @param {Object} options.storage - Storage instance
+ * @param {Object} options.encryption - Encryption instance
+ * @param {Object} options.trustedKeys - TrustStore (or attester_id -> public key map)
+ * @param {Function} options.policyFor - Optional; async envelope -> effective policy
+ *   (without it, only an envelope's author may supersede it)
+ * @param {string[]} options.envelopeIds - Limit resolution to these envelopes (default: all)
+ * @returns {Map} envelope_id -> revocation record
+ */
+export async function resolveRevocations({
+  index,
+  storage,
+  encryption,
+  trustedKeys = {},
+  policyFor = null,
+  envelopeIds = null
+}) {
+  const revoked = new Map();
+
+  const tombstoneEntries = envelopeIds
+    ? dedupe(envelopeIds.flatMap(id => index.findSuperseding(id, ['tombstone'])))
+    : index.query({ kinds: ['tombstone'] });
+
+  for (const entry of tombstoneEntries) {
+    const record = await checkTombstone(entry, { storage, encryption, trustedKeys });
+    if (!record) continue;
+
+    for (const supersededId of record.supersedes) {
+      if (envelopeIds && !envelopeIds.includes(supersededId)) continue;
+      if (!await maySupersede(record.signer, supersededId, 'revoke', { index, storage, policyFor })) continue;
+
+      // Keep the earliest effective tombstone
+      const existing = revoked.get(supersededId);
+      if (!existing || new Date(record.effective_at) < new Date(existing.effective_at)) {
+        revoked.set(supersededId, {
+          tombstone_id: record.tombstone_id,
+          tombstone_cid: record.tombstone_cid,
+          reason: record.reason,
+          method: record.method,
+          effective_at: record.effective_at
+        });
+      }
+    }
+  }
+
+  return revoked;
+}
+
+/**
+ * Resolve the latest version of an envelope by following valid
+ * superseding updates (tombstones are not versions)
+ *
+ * @returns {string} envelope_id of the chain head (the input if never updated)
+ */
+export async function resolveLatestVersion({
+  index,
+  storage,
+  encryption,
+  trustedKeys = {},
+  policyFor = null,
+  envelopeId
+}) {
+  const visited = new Set([envelopeId]);
+  let current = envelopeId;
+
+  while (true) {
+    const successors = index.findSuperseding(current)
+      .filter(entry => entry.kind !== 'tombstone' && !visited.has(entry.envelope_id))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    let next = null;
+    for (const entry of successors) {
+      if (await isValidUpdate(entry, current, { index, storage, encryption, trustedKeys, policyFor })) {
+        next = entry.envelope_id;
+        break;
+      }
+    }
+
+    if (!next) return current;
+
+    visited.add(next);
+    current = next;
+  }
+}
+
+/**
+ * Find which of the given envelopes have been superseded by a valid update
+ *
+ * @returns {Set} envelope IDs that are no longer the latest version
+ */
+export async function findSuperseded({
+  index,
+  storage,
+  encryption,
+  trustedKeys = {},
+  policyFor = null,
+  envelopeIds
+}) {
+  const superseded = new Set();
+
+  for (const envelopeId of envelopeIds) {
+    const successors = index.findSuperseding(envelopeId)
+      .filter(entry => entry.kind !== 'tombstone');
+
+    for (const entry of successors) {
+      if (await isValidUpdate(entry, envelopeId, { index, storage, encryption, trustedKeys, policyFor })) {
+        superseded.add(envelopeId);
+        break;
+      }
+    }
+  }
+
+  return superseded;
+}
+
+/**
+ * Load a tombstone and check that it is signed and already in effect
+ * @returns {Object|null} Revocation record, or null if the tombstone does not count
+ */
+async function checkTombstone(entry, { storage, encryption, trustedKeys }) {
+  const tombstone = await loadVerified(entry, { storage, encryption, trustedKeys });
+  if (!tombstone?.isTombstone()) return null;
+
+  const effectiveAt = tombstone.effective_at || tombstone.created_at;
+  if (new Date(effectiveAt) > new Date()) return null;
+
+  return {
+    tombstone_id: tombstone.envelope_id,
+    tombstone_cid: entry.envelope_cid,
+    signer: authorOf(tombstone),
+    supersedes: tombstone.lineage.supersedes,
+    reason: tombstone.revocation_reason,
+    method: tombstone.revocation_method || 'tombstone',
+    effective_at: effectiveAt
+  };
+}
+
+/**
+ * Check that an update is signed and its signer may update the target
+ */
+async function isValidUpdate(entry, targetId, { index, storage, encryption, trustedKeys, policyFor }) {
+  const update = await loadVerified(entry, { storage, encryption, trustedKeys });
+  if (!update) return false;
+
+  return maySupersede(authorOf(update), targetId, 'write', { index, storage, policyFor });
+}
+
+/**
+ * Check that a signer authored the target envelope, or holds the given
+ * permission (or admin) in its policy
+ */
+async function maySupersede(signerId, targetId, permission, { index, storage, policyFor }) {
+  if (!signerId) return false;
+
+  try {
+    const target = MemoryEnvelope.fromJSON(
+      await storage.retrieve(index.get(targetId).envelope_cid)
+    );
+    if (authorOf(target) === signerId) return true;
+    if (!policyFor) return false;
+
+    const policy = await policyFor(target);
+    return policy.hasPermission(signerId, permission) || policy.hasPermission(signerId, 'admin');
+  } catch (err) {
+    // Unknown targets and unavailable policies grant nothing
+    return false;
+  }
+}
+
+/**
+ * Attester of an envelope's SELF_SIGNED attestation (its author)
+ */
+function authorOf(envelope) {
+  return envelope.attestations.find(a => a.level === 'SELF_SIGNED')?.attester_id || null;
+}
+
+/**
+ * Retrieve an indexed envelope and verify its attestations
+ * @returns {MemoryEnvelope|null} The envelope, or null if missing, unverified or untrusted
+ */
+async function loadVerified(entry, { storage, encryption, trustedKeys }) {
+  try {
+    const envelope = MemoryEnvelope.fromJSON(
+      await storage.retrieve(entry.envelope_cid)
+    );
+
+    // Only trusted attesters may revoke or update
+    const verification = await envelope.verify(encryption, trustedKeys);
+    return verification.trusted ? envelope : null;
+  } catch (err) {
+    // Missing or unreadable envelopes supersede nothing
+    return null;
+  }
+}
+
+function dedupe(entries) {
+  const seen = new Map();
+  for (const entry of entries) {
+    seen.set(entry.envelope_id, entry);
+  }
+  return [...seen.values()];
+}
+
+export default {
+  resolveRevocations,
+  resolveLatestVersion,
+  findSuperseded
+};
@@ -1,12 +1,14 @@
 /**
  * Storage - Decentralized storage abstraction
  * 
- * Supports IPFS, Arweave, and local storage.
+ * Supports IPFS, Arweave, and local storage. Recognized MLP objects are
+ * checked against their schemas on store and retrieve (see validation.js).
  */
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir, unlink } from 'fs/promises';
 import { join } from 'path';
 import { createHash, randomBytes } from 'crypto';
+import { assertValid, detectSchema } from './validation.js';
 
 // Public IPFS gateways for retrieval
 const IPFS_GATEWAYS = [
@@ -19,13 +21,18 @@ const IPFS_GATEWAYS = [
 const PINATA_API_URL = 'https://api.pinata.cloud';
 
 export class Storage {
-  constructor(config) {
+  /**
+   * @param {Object} config - Storage config section
+   * @param {Object} options - { validation: 'strict' | 'lenient' | 'off' }
+   */
+  constructor(config, options = {}) {
     this.provider = config.provider || 'local';
     this.endpoint = config.endpoint;
     this.localPath = config.local_path || '~/.config/mlp/storage';
     this.pinataApiKey = config.pinata_api_key || process.env.PINATA_API_KEY || null;
     this.pinataApiSecret = config.pinata_api_secret || process.env.PINATA_API_SECRET || null;
     this.client = null;
+    this.validation = options.validation || 'off';
   }
 
   /**
@@ -63,6 +70,7 @@ export class Storage {
    * Store data and return CID/identifier
    */
   async store(data) {
+    this._validate(data);
     const content = typeof data === 'string' ? data : JSON.stringify(data);
     
     switch (this.provider) {
@@ -82,16 +90,42 @@ export class Storage {
    * Retrieve data by CID/identifier
    */
   async retrieve(cid) {
+    let data;
     switch (this.provider) {
       case 'ipfs':
-        return this.retrieveIPFS(cid);
+        data = await this.retrieveIPFS(cid);
+        break;
         
       case 'arweave':
-        return this.retrieveArweave(cid);
+        data = await this.retrieveArweave(cid);
+        break;
         
       case 'local':
       default:
-        return this.retrieveLocal(cid);
+        data = await this.retrieveLocal(cid);
+    }
+    
+    this._validate(data, cid);
+    return data;
+  }
+
+  /**
+   * Check a recognized MLP object against its schema
+   * Throws SCHEMA_INVALID; other data (strings, key grants) passes through.
+   * Blobs in the pre-spec secretbox format are still accepted on retrieve.
+   */
+  _validate(data, cid = null) {
+    if (this.validation === 'off') return;
+    
+    const schema = detectSchema(data);
+    if (!schema) return;
+    if (cid && schema === 'blob' && isLegacyBlob(data)) return;
+    
+    try {
+      assertValid(data, { schema, mode: this.validation, extensions: true });
+    } catch (err) {
+      if (cid) err.message = `${err.message} (cid ${cid})`;
+      throw err;
     }
   }
 
@@ -241,6 +275,27 @@ export class Storage {
     }
   }
 
+  /**
+   * Delete a stored item (local only; published IPFS and Arweave content
+   * cannot be recalled)
+   * @returns {boolean} false if it was already gone
+   */
+  async remove(cid) {
+    if (this.provider !== 'local') {
+      throw new Error('Remove operation only supported for local storage');
+    }
+    
+    const expandedPath = this.localPath.replace('~', process.env.HOME);
+    
+    try {
+      await unlink(join(expandedPath, `${cid}.json`));
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return false;
+    }
+  }
+
   /**
    * List all stored items (local only)
    */
@@ -263,4 +318,12 @@ export class Storage {
   }
 }
 
+/**
+ * Blobs written before the spec format: { nonce, ciphertext, algorithm, key_id? }
+ * with no encryption_suite_id (decrypted as XSALSA20-POLY1305)
+ */
+function isLegacyBlob(data) {
+  return !data.encryption_suite_id && typeof data.algorithm === 'string';
+}
+
 export default Storage;
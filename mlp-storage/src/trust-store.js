@@ -0,0 +1,292 @@
+/**
+ * TrustStore - Known attesters and their Ed25519 public keys
+ *
+ * Attestations embed the signer's public key, but an embedded key only
+ * proves the envelope was signed by *someone*. The trust store decides
+ * who that someone may be: attester IDs map to the keys we accept for
+ * them. Pinned attesters cannot have their key replaced; revoked
+ * attesters (or keys) are no longer accepted for verification.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const TRUST_STORE_VERSION = 1;
+
+export class TrustStore {
+  constructor(path) {
+    this.path = path;
+    this.entries = new Map();  // attester_id -> entry
+  }
+
+  /**
+   * Load trust store from disk (empty if missing)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.entries = new Map(Object.entries(data.attesters || {}));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.entries = new Map();
+    }
+    return this;
+  }
+
+  /**
+   * Save trust store to disk
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      trust_store_version: TRUST_STORE_VERSION,
+      updated_at: new Date().toISOString(),
+      attesters: Object.fromEntries(this.entries)
+    }, null, 2));
+
+    const { chmod } = await import('fs/promises');
+    await chmod(this.path, 0o600);
+  }
+
+  /**
+   * Trust an attester's public key
+   *
+   * @param {string} attesterId - Attester ID (kernel ID, host ID, ...)
+   * @param {Uint8Array|string} publicKey - Ed25519 public key (raw or base64)
+   * @param {Object} options - { attesterType, label, pinned }
+   */
+  async add(attesterId, publicKey, options = {}) {
+    const { attesterType = 'agent', label = null, pinned = false } = options;
+    const encodedKey = encodeKey(publicKey);
+    const existing = this.entries.get(attesterId);
+
+    if (existing) {
+      const sameKey = existing.public_key === encodedKey;
+
+      if (existing.pinned && !sameKey) {
+        const err = new Error(`Attester ${attesterId} is pinned to a different public key`);
+        err.code = 'KEY_PINNED';
+        throw err;
+      }
+      if ((existing.revoked_keys || []).includes(encodedKey) ||
+          (existing.status === 'revoked' && sameKey)) {
+        const err = new Error(`Public key for ${attesterId} has been revoked`);
+        err.code = 'KEY_REVOKED';
+        throw err;
+      }
+    }
+
+    // Replacing a key keeps the old one out for good
+    const revokedKeys = [...(existing?.revoked_keys || [])];
+    if (existing && existing.public_key !== encodedKey && !revokedKeys.includes(existing.public_key)) {
+      revokedKeys.push(existing.public_key);
+    }
+
+    const entry = {
+      attester_id: attesterId,
+      attester_type: attesterType,
+      public_key: encodedKey,
+      label: label ?? existing?.label ?? null,
+      pinned: pinned || existing?.pinned || false,
+      status: 'trusted',
+      added_at: existing?.public_key === encodedKey ? existing.added_at : new Date().toISOString(),
+      revoked_keys: revokedKeys
+    };
+
+    this.entries.set(attesterId, entry);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Move an attester to a new key, keeping the replaced key (and
+   * options.retiredKey) as legacy keys that still verify signatures made
+   * before the move (see resolve)
+   * @param {Object} options - { retiredKey, attesterType, label, pinned }
+   */
+  async replaceKey(attesterId, publicKey, options = {}) {
+    const { retiredKey = null, attesterType = 'agent', label = null, pinned = false } = options;
+    const encodedKey = encodeKey(publicKey);
+    const existing = this.entries.get(attesterId);
+    const retiredAt = new Date().toISOString();
+
+    const legacyKeys = [...(existing?.legacy_keys || [])];
+    for (const key of [existing?.public_key, retiredKey && encodeKey(retiredKey)]) {
+      if (key && key !== encodedKey && !legacyKeys.some(legacy => legacy.public_key === key)) {
+        legacyKeys.push({ public_key: key, retired_at: retiredAt });
+      }
+    }
+
+    const entry = {
+      ...existing,
+      attester_id: attesterId,
+      attester_type: existing?.attester_type || attesterType,
+      public_key: encodedKey,
+      label: label ?? existing?.label ?? null,
+      pinned: pinned || existing?.pinned || false,
+      status: existing?.status || 'trusted',
+      added_at: retiredAt,
+      revoked_keys: existing?.revoked_keys || [],
+      legacy_keys: legacyKeys
+    };
+
+    this.entries.set(attesterId, entry);
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Pin an attester to its current key
+   */
+  async pin(attesterId) {
+    const entry = this._require(attesterId);
+    entry.pinned = true;
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Unpin an attester so its key may be replaced
+   */
+  async unpin(attesterId) {
+    const entry = this._require(attesterId);
+    entry.pinned = false;
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Revoke an attester: its signatures no longer verify
+   */
+  async revoke(attesterId, reason = 'revoked') {
+    const entry = this._require(attesterId);
+    entry.status = 'revoked';
+    entry.revoked_at = new Date().toISOString();
+    entry.revocation_reason = reason;
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Remove an attester entirely
+   * @returns {boolean} false if it was not known
+   */
+  async remove(attesterId) {
+    const removed = this.entries.delete(attesterId);
+    if (removed) await this.save();
+    return removed;
+  }
+
+  /**
+   * Get an attester entry
+   */
+  get(attesterId) {
+    return this.entries.get(attesterId) || null;
+  }
+
+  /**
+   * List attester entries
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Resolve the key to verify an attestation with
+   *
+   * @param {Object} attestation - Attestation with attester_id and optional public_key
+   * @returns {Object} { publicKey, trusted, reason, legacyKeys }; legacyKeys
+   *   are [{ publicKey, retired_at }], valid only for objects dated before
+   *   retired_at
+   */
+  resolve(attestation) {
+    const entry = this.entries.get(attestation.attester_id);
+
+    if (entry?.status === 'revoked') {
+      return { publicKey: null, trusted: false, reason: 'Attester revoked in trust store' };
+    }
+
+    if (entry) {
+      return {
+        publicKey: decodeKey(entry.public_key),
+        trusted: true,
+        legacyKeys: (entry.legacy_keys || []).map(legacy => ({
+          publicKey: decodeKey(legacy.public_key),
+          retired_at: legacy.retired_at
+        }))
+      };
+    }
+
+    if (attestation.public_key) {
+      return {
+        publicKey: decodeKey(attestation.public_key),
+        trusted: false,
+        reason: 'Attester not in trust store'
+      };
+    }
+
+    return { publicKey: null, trusted: false, reason: 'No public key available' };
+  }
+
+  _require(attesterId) {
+    const entry = this.entries.get(attesterId);
+    if (!entry) {
+      throw new Error(`Unknown attester: ${attesterId}`);
+    }
+    return entry;
+  }
+}
+
+/**
+ * Resolve a verification key from a TrustStore or a plain
+ * attester_id -> public key map
+ */
+export function resolveAttesterKey(trust, attestation) {
+  if (typeof trust?.resolve === 'function') {
+    return trust.resolve(attestation);
+  }
+
+  const known = trust?.[attestation.attester_id];
+  if (known) {
+    return { publicKey: decodeKey(known), trusted: true };
+  }
+
+  if (attestation.public_key) {
+    return {
+      publicKey: decodeKey(attestation.public_key),
+      trusted: false,
+      reason: 'Attester not in trusted keys'
+    };
+  }
+
+  return { publicKey: null, trusted: false, reason: 'No public key available' };
+}
+
+/**
+ * Keys to check a signature on an object dated datedAt with: the current
+ * key, then legacy keys retired after that date
+ * @param {Object} resolved - Result of resolve() / resolveAttesterKey()
+ */
+export function candidateKeys({ publicKey, legacyKeys = [] }, datedAt) {
+  const dated = new Date(datedAt).getTime();
+  return [
+    publicKey,
+    ...legacyKeys
+      .filter(legacy => dated <= new Date(legacy.retired_at).getTime())
+      .map(legacy => legacy.publicKey)
+  ];
+}
+
+function encodeKey(publicKey) {
+  return typeof publicKey === 'string'
+    ? publicKey
+    : Buffer.from(publicKey).toString('base64');
+}
+
+function decodeKey(publicKey) {
+  return typeof publicKey === 'string'
+    ? new Uint8Array(Buffer.from(publicKey, 'base64'))
+    : publicKey;
+}
+
+export default TrustStore;
@@ -0,0 +1,271 @@
+/**
+ * Validation - JSON Schema checks for MLP objects
+ *
+ * Validates envelopes, encrypted blobs, attestations, access policies,
+ * identity kernels, cartouches and context packs against the schemas in
+ * schemas/. Supports the draft-07 keywords those schemas use: type,
+ * required, properties, additionalProperties, items, enum, pattern,
+ * format, minItems, minimum, anyOf and $ref between schema files
+ * (optionally with a #/json/pointer fragment).
+ *
+ * Modes:
+ *   strict   every keyword is enforced
+ *   lenient  format, pattern, unknown properties and null values are
+ *            reported as warnings, so objects written by older versions
+ *            (or carrying local extensions) still load
+ *
+ * With options.extensions, unknown top-level fields of envelopes, policies
+ * and kernels are accepted in either mode: those classes preserve them
+ * (see versioning.js), so MLP validates the objects it stores this way.
+ */
+
+import { readFileSync } from 'fs';
+
+// Object type -> schema file
+export const SCHEMAS = {
+  envelope: 'memory-envelope.schema.json',
+  blob: 'memory-blob.schema.json',
+  attestation: 'attestation.schema.json',
+  policy: 'access-policy.schema.json',
+  kernel: 'identity-kernel.schema.json',
+  cartouche: 'cartouche.schema.json',
+  context_pack: 'context-pack.schema.json'
+};
+
+export const VALIDATION_MODES = ['strict', 'lenient'];
+
+// Objects whose classes keep unknown fields as extensions
+const EXTENSIBLE = ['envelope', 'policy', 'kernel'];
+
+const SCHEMA_DIR = new URL('../schemas/', import.meta.url);
+
+// Keywords only warned about in lenient mode
+const SOFT_KEYWORDS = ['format', 'pattern', 'additionalProperties', 'null'];
+
+const FORMATS = {
+  'date-time': value =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S*$/i.test(value),
+  duration: value =>
+    /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value)
+};
+
+const schemaCache = new Map();
+
+/**
+ * Load a schema file from schemas/ (cached)
+ */
+export function loadSchema(file) {
+  if (!schemaCache.has(file)) {
+    schemaCache.set(file, JSON.parse(readFileSync(new URL(file, SCHEMA_DIR), 'utf8')));
+  }
+  return schemaCache.get(file);
+}
+
+/**
+ * Guess an object's type from its identifying fields
+ * @returns {string|null} Key of SCHEMAS, or null if unrecognized
+ */
+export function detectSchema(object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) return null;
+
+  if (object.pack_id && object.memory_slices) return 'context_pack';
+  if (object.envelope_id && object.lineage) return 'envelope';
+  if (object.policy_id && object.principals) return 'policy';
+  if (object.kernel_id && object.invariants) return 'kernel';
+  if (object.attestation_id && object.attester_id) return 'attestation';
+  if (object.cartouche_string && object.dialect_id) return 'cartouche';
+  if (object.ciphertext && object.nonce) return 'blob';
+  return null;
+}
+
+/**
+ * Validate an object against its schema
+ * @param {Object} object - Object to check (plain JSON, not a class instance)
+ * @param {Object} options - { schema: key of SCHEMAS (default: detected),
+ *   mode: 'strict' (default) | 'lenient', extensions: accept extension
+ *   fields (default false) }
+ * @returns {Object} { valid, schema, mode, errors, warnings }; each issue
+ *   is { path, keyword, message }
+ */
+export function validate(object, options = {}) {
+  const { mode = 'strict', extensions = false } = options;
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown validation mode: ${mode} (expected ${VALIDATION_MODES.join(', ')})`);
+  }
+
+  const schema = options.schema || detectSchema(object);
+  const errors = [];
+  const warnings = [];
+
+  if (!SCHEMAS[schema]) {
+    errors.push({
+      path: '',
+      keyword: 'schema',
+      message: options.schema
+        ? `unknown schema ${options.schema} (expected ${Object.keys(SCHEMAS).join(', ')})`
+        : 'not a recognized MLP object; pass options.schema'
+    });
+  } else {
+    const extensible = extensions ? EXTENSIBLE.map(key => loadSchema(SCHEMAS[key])) : [];
+    check(object, loadSchema(SCHEMAS[schema]), '', { lenient: mode === 'lenient', extensible, errors, warnings });
+  }
+
+  return { valid: errors.length === 0, schema: SCHEMAS[schema] ? schema : null, mode, errors, warnings };
+}
+
+/**
+ * Validate and throw SCHEMA_INVALID on errors
+ * @returns {Object} The validation result (warnings may be non-empty)
+ */
+export function assertValid(object, options = {}) {
+  const result = validate(object, options);
+
+  if (!result.valid) {
+    const shown = result.errors.slice(0, 5).map(formatIssue);
+    const more = result.errors.length > shown.length ? ` (+${result.errors.length - shown.length} more)` : '';
+    const err = new Error(`Invalid ${result.schema || 'object'}: ${shown.join('; ')}${more}`);
+    err.code = 'SCHEMA_INVALID';
+    err.schema = result.schema;
+    err.errors = result.errors;
+    throw err;
+  }
+  return result;
+}
+
+/**
+ * Render an issue as "path: message"
+ */
+export function formatIssue({ path, message }) {
+  return `${path || '(root)'}: ${message}`;
+}
+
+/**
+ * Check a value against a schema node, collecting issues
+ */
+function check(value, schema, path, ctx) {
+  const report = (keyword, message, at = path) => {
+    const issue = { path: at, keyword, message };
+    if (ctx.lenient && SOFT_KEYWORDS.includes(keyword)) {
+      ctx.warnings.push(issue);
+    } else {
+      ctx.errors.push(issue);
+    }
+  };
+
+  // Siblings of $ref are annotations in draft-07
+  if (schema.$ref) {
+    check(value, resolveRef(schema.$ref), path, ctx);
+    return;
+  }
+
+  if (value === null && schema.type && !typesOf(schema).includes('null')) {
+    report('null', `must be ${typesOf(schema).join(' or ')}, not null`);
+    return;
+  }
+
+  if (schema.type && !typesOf(schema).some(type => matchesType(value, type))) {
+    report('type', `must be ${typesOf(schema).join(' or ')}, not ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report('enum', `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      report('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      report('format', `must be a ${schema.format} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    report('minimum', `must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, ctx));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) report('required', `missing required property ${key}`);
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+
+      if (properties[key]) {
+        if (item !== undefined) check(item, properties[key], itemPath, ctx);
+      } else if (schema.additionalProperties === false && !ctx.extensible.includes(schema)) {
+        report('additionalProperties', `unknown property ${key}`, itemPath);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, itemPath, ctx);
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(branch => {
+      const branchCtx = { ...ctx, errors: [], warnings: [] };
+      check(value, branch, path, branchCtx);
+      return branchCtx.errors.length === 0;
+    });
+    if (!matches) report('anyOf', 'does not match any allowed shape');
+  }
+}
+
+/**
+ * Resolve "file.schema.json" or "file.schema.json#/pointer"
+ */
+function resolveRef(ref) {
+  const [file, pointer = ''] = ref.split('#');
+  return pointer
+    .split('/')
+    .filter(Boolean)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => {
+      if (!node || node[part] === undefined) throw new Error(`Unresolvable $ref: ${ref}`);
+      return node[part];
+    }, loadSchema(file));
+}
+
+function typesOf(schema) {
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export default {
+  SCHEMAS,
+  VALIDATION_MODES,
+  loadSchema,
+  detectSchema,
+  validate,
+  assertValid,
+  formatIssue
+};
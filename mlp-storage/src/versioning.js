@@ -0,0 +1,112 @@
+/**
+ * Versioning - Supported mlp_version registry and extension fields
+ *
+ * Per the spec's interoperability rules, objects whose mlp_version this
+ * library cannot read are rejected, and fields it does not know are
+ * preserved: classes keep them aside on load and write them back on
+ * toJSON, so extensions survive a load, modify and save round trip.
+ */
+
+export const CURRENT_VERSION = '0.2';
+
+const VERSION_PATTERN = /^[0-9]+\.[0-9]+$/;
+
+// Versions this library reads; breaking changes bump the major version
+const supported = new Set(['0.1', '0.2']);
+
+/**
+ * List supported versions, oldest first
+ */
+export function supportedVersions() {
+  return [...supported].sort(compareVersions);
+}
+
+/**
+ * Check whether a version can be read
+ */
+export function isSupportedVersion(version) {
+  return supported.has(version);
+}
+
+/**
+ * Accept another version (e.g. a minor revision an integrator has
+ * confirmed is compatible)
+ */
+export function registerVersion(version) {
+  if (!VERSION_PATTERN.test(version)) {
+    throw new Error(`Invalid mlp_version: ${version} (expected MAJOR.MINOR)`);
+  }
+  supported.add(version);
+  return supportedVersions();
+}
+
+/**
+ * Reject an object with an unsupported mlp_version
+ * Objects without one are treated as current (the constructors default it).
+ * @param {Object} data - Object being loaded
+ * @param {string} objectType - Used in the error, e.g. 'envelope'
+ */
+export function assertSupportedVersion(data, objectType = 'object') {
+  const version = data?.mlp_version;
+  if (version === undefined || version === null || supported.has(version)) return;
+
+  const err = new Error(
+    `Unsupported mlp_version ${JSON.stringify(version)} for ${objectType} ` +
+    `(supported: ${supportedVersions().join(', ')})`
+  );
+  err.code = 'UNSUPPORTED_VERSION';
+  err.version = version;
+  err.object_type = objectType;
+  err.supported = supportedVersions();
+  throw err;
+}
+
+/**
+ * Pick the newest version both sides support
+ * @param {string[]} peerVersions - Versions the other party supports
+ * @returns {string} Agreed version
+ */
+export function negotiateVersion(peerVersions = []) {
+  const common = supportedVersions().filter(version => peerVersions.includes(version));
+
+  if (common.length === 0) {
+    const err = new Error(
+      `No common mlp_version (ours: ${supportedVersions().join(', ')}; ` +
+      `theirs: ${peerVersions.join(', ') || 'none'})`
+    );
+    err.code = 'UNSUPPORTED_VERSION';
+    err.supported = supportedVersions();
+    throw err;
+  }
+  return common[common.length - 1];
+}
+
+/**
+ * Fields of a loaded object that a class does not model
+ * Keys starting with _ are in-memory only and never preserved.
+ * @param {Object} data - Loaded object
+ * @param {string[]} knownFields - Fields the class reads itself
+ * @returns {Object} Unknown fields, in their original order
+ */
+export function extensionFields(data = {}, knownFields = []) {
+  const known = new Set(knownFields);
+  return Object.fromEntries(
+    Object.entries(data).filter(([key]) => !known.has(key) && !key.startsWith('_'))
+  );
+}
+
+function compareVersions(a, b) {
+  const [aMajor, aMinor] = a.split('.').map(Number);
+  const [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+export default {
+  CURRENT_VERSION,
+  supportedVersions,
+  isSupportedVersion,
+  registerVersion,
+  assertSupportedVersion,
+  negotiateVersion,
+  extensionFields
+};
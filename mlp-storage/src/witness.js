@@ -0,0 +1,211 @@
+/**
+ * Witness - Co-signing workflow and attestation quorums
+ *
+ * A witness never needs the envelope's storage or keys: the owner exports
+ * the envelope's signable data as a signing request, the witness signs it
+ * and returns a response carrying a WITNESS_SIGNED attestation, and the
+ * owner attaches that attestation to the envelope.
+ *
+ * Quorum policy maps a risk_class to the minimum number of valid, trusted
+ * attestations per level, e.g. { high: { WITNESS_SIGNED: 2 } }.
+ */
+
+import { randomUUID } from 'crypto';
+
+const REQUEST_TYPE = 'mlp_witness_request';
+const RESPONSE_TYPE = 'mlp_witness_response';
+
+/**
+ * Export an envelope's signable data as a signing request
+ *
+ * @param {MemoryEnvelope} envelope - Envelope to be witnessed
+ * @param {Encryption} encryption - Hashes the signable data
+ * @param {Object} options - { requestedBy, reason }
+ * @returns {Object} Signing request (plain JSON, safe to hand to a witness)
+ */
+export function createSigningRequest(envelope, encryption, options = {}) {
+  const { requestedBy = null, reason = null } = options;
+  const signableData = envelope.getSignableData();
+
+  return {
+    type: REQUEST_TYPE,
+    request_id: randomUUID(),
+    envelope_id: envelope.envelope_id,
+    risk_class: envelope.risk_class,
+    signable_data: signableData,
+    signable_hash: encryption.hash(signableData),
+    requested_by: requestedBy,
+    reason,
+    requested_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Sign a request as a witness
+ *
+ * @param {Object} request - Signing request from createSigningRequest
+ * @param {Object} witness - Identity with kernel_id, public_key and _keypair
+ *   (an IdentityKernel or LocalWitness)
+ * @param {Encryption} encryption - Checks the request hash and signs
+ * @returns {Object} Signing response carrying the attestation
+ */
+export async function signRequest(request, witness, encryption) {
+  checkRequest(request, encryption);
+
+  if (!witness._keypair?.secretKey) {
+    throw new Error(`Witness ${witness.kernel_id} has no signing keypair`);
+  }
+
+  const signature = await encryption.sign(request.signable_data, witness._keypair.secretKey);
+
+  return {
+    type: RESPONSE_TYPE,
+    request_id: request.request_id,
+    envelope_id: request.envelope_id,
+    signable_hash: request.signable_hash,
+    attestation: {
+      attestation_id: randomUUID(),
+      attester_id: witness.kernel_id,
+      attester_type: 'witness',
+      level: 'WITNESS_SIGNED',
+      signature,
+      signature_algorithm: 'Ed25519',
+      signed_at: new Date().toISOString(),
+      public_key: witness.public_key,
+      claims: [
+        { claim_type: 'validity', claim_value: 'witnessed' }
+      ]
+    }
+  };
+}
+
+/**
+ * Attach a signed response to its envelope
+ * The signature is checked against the key embedded in the response;
+ * whether that witness is trusted is decided at verification time.
+ *
+ * @param {MemoryEnvelope} envelope - Envelope the request was made for
+ * @param {Object} response - Signing response from signRequest
+ * @param {Encryption} encryption - Checks the hash and signature
+ * @returns {MemoryEnvelope} The envelope, with the attestation added
+ */
+export async function attachResponse(envelope, response, encryption) {
+  if (response?.type !== RESPONSE_TYPE || !response.attestation) {
+    throw new Error('Not a witness signing response');
+  }
+  if (response.envelope_id !== envelope.envelope_id) {
+    throw new Error(`Response is for envelope ${response.envelope_id}, not ${envelope.envelope_id}`);
+  }
+  if (response.signable_hash !== encryption.hash(envelope.getSignableData())) {
+    throw new Error('Response was signed over different envelope data');
+  }
+
+  const { attestation } = response;
+  if (!attestation.public_key) {
+    throw new Error('Witness attestation carries no public key');
+  }
+
+  const valid = await encryption.verify(
+    envelope.getSignableData(),
+    attestation.signature,
+    new Uint8Array(Buffer.from(attestation.public_key, 'base64')),
+    { allowLegacy: false }
+  );
+  if (!valid) {
+    throw new Error(`Invalid witness signature from ${attestation.attester_id}`);
+  }
+
+  // One attestation per attester and level; re-signing replaces the old one
+  envelope.attestations = envelope.attestations.filter(a =>
+    !(a.attester_id === attestation.attester_id && a.level === attestation.level)
+  );
+  envelope.addAttestation(attestation);
+
+  return envelope;
+}
+
+/**
+ * Check verified attestations against a quorum policy
+ *
+ * @param {Object} verification - Result of MemoryEnvelope.verify
+ * @param {string} riskClass - Envelope risk_class
+ * @param {Object} quorumPolicy - risk_class -> { level: minimum count }
+ * @returns {Object} { met, required, counts, missing }
+ */
+export function checkQuorum(verification, riskClass, quorumPolicy = {}) {
+  const required = quorumPolicy?.[riskClass] || {};
+
+  // Distinct attesters whose signature is valid and trusted, per level
+  const attesters = {};
+  for (const result of verification.attestations || []) {
+    if (!result.valid || !result.trusted) continue;
+    (attesters[result.level] ||= new Set()).add(result.attester);
+  }
+
+  const counts = Object.fromEntries(
+    Object.entries(attesters).map(([level, ids]) => [level, ids.size])
+  );
+
+  const missing = {};
+  for (const [level, minimum] of Object.entries(required)) {
+    const shortfall = minimum - (counts[level] || 0);
+    if (shortfall > 0) missing[level] = shortfall;
+  }
+
+  return {
+    met: Object.keys(missing).length === 0,
+    required,
+    counts,
+    missing
+  };
+}
+
+/**
+ * LocalWitness - In-process witness stand-in (tests, single-machine setups)
+ * Holds its own Ed25519 keypair and signs requests directly.
+ */
+export class LocalWitness {
+  constructor({ witnessId = randomUUID(), keypair }) {
+    this.kernel_id = witnessId;
+    this._keypair = keypair;
+    this.public_key = Buffer.from(keypair.publicKey).toString('base64');
+  }
+
+  /**
+   * Create a witness with a fresh keypair
+   */
+  static async create(encryption, options = {}) {
+    const keypair = await encryption.generateSigningKeypair();
+    return new LocalWitness({ ...options, keypair });
+  }
+
+  /**
+   * Sign a request
+   */
+  async sign(request, encryption) {
+    return signRequest(request, this, encryption);
+  }
+}
+
+/**
+ * Check that a request's signable data matches its hash
+ */
+function checkRequest(request, encryption) {
+  if (request?.type !== REQUEST_TYPE || !request.signable_data) {
+    throw new Error('Not a witness signing request');
+  }
+  if (encryption.hash(request.signable_data) !== request.signable_hash) {
+    throw new Error('Signing request hash does not match its data');
+  }
+  if (request.signable_data.envelope_id !== request.envelope_id) {
+    throw new Error('Signing request envelope ID does not match its data');
+  }
+}
+
+export default {
+  createSigningRequest,
+  signRequest,
+  attachResponse,
+  checkQuorum,
+  LocalWitness
+};
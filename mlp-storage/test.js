@@ -1,13 +1,19 @@
 /**
  * MLP Skill Test Script
  * Tests local storage, identity kernel, memory storage, and context pack generation
+ *
+ * Runs against a throwaway HOME (removed afterwards), so keys, config and
+ * storage under the developer's ~/.config/mlp are never touched.
  */
 
-import MLP from './src/index.js';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import MLP, { LocalWitness, AccessPolicy, MemoryEnvelope, IdentityKernel, Storage, policyIdOf } from './src/index.js';
+import assert from 'assert/strict';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, mkdir, rm, readFile, writeFile, readdir } from 'fs/promises';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+const testHome = await mkdtemp(join(tmpdir(), 'mlp-test-'));
+process.env.HOME = testHome;
 
 async function test() {
   console.log('═══════════════════════════════════════════');
@@ -16,7 +22,7 @@ async function test() {
 
   // 1. Initialize MLP
   console.log('1. Initializing MLP...');
-  const mlp = new MLP(join(__dirname, 'test-config.yaml'));
+  const mlp = new MLP(join(testHome, 'test-config.yaml'));
   
   try {
     const initResult = await mlp.init();
@@ -26,6 +32,7 @@ async function test() {
     console.log(`   Storage: ${initResult.storage.provider}`);
   } catch (err) {
     console.error('   ✗ Init failed:', err.message);
+    process.exitCode = 1;
     return;
   }
 
@@ -36,6 +43,7 @@ async function test() {
   console.log(`   Boundaries: ${kernel.invariants.boundaries.length || 0}`);
   console.log(`   Threat Posture: ${kernel.threat_posture.anti_poisoning_strictness}`);
   console.log(`   Epoch: ${kernel.epoch_state.epoch_id}`);
+  console.log(`   Signing key: ${kernel.public_key?.slice(0, 16)}...`);
 
   // 3. Add some values and boundaries
   console.log('\n3. Configuring identity...');
@@ -45,10 +53,12 @@ async function test() {
   kernel.addBoundary('will acknowledge uncertainty');
   console.log(`   ✓ Added ${kernel.invariants.values.length} values`);
   console.log(`   ✓ Added ${kernel.invariants.boundaries.length} boundaries`);
+  await mlp.saveIdentity();
+  console.log(`   Kernel signature verified: ${await kernel.verify(mlp.encryption)}`);
 
   // 4. Generate cartouche
   console.log('\n4. Generating Cartouche...');
-  const cartouche = kernel.generateCartouche(mlp.encryption);
+  const cartouche = await kernel.generateCartouche(mlp.encryption);
   console.log(`   ✓ Cartouche: ${cartouche.cartouche_string}`);
   console.log(`   Dialect: ${cartouche.dialect_id}`);
 
@@ -98,29 +108,550 @@ async function test() {
   console.log(`   Memories included: ${contextPack.compilation_trace.memories_included}`);
   console.log(`   Memories considered: ${contextPack.compilation_trace.memories_considered}`);
 
+  // 6a. Relevance ranking and token budget
+  console.log('\n6a. Ranking memories into a token budget...');
+  const scores = contextPack.memory_slices.map(slice => slice.relevance_score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a), 'slices are ordered by relevance');
+  assert.equal(contextPack.compilation_trace.memories_included, 3);
+  const reflectionPack = await mlp.generateContextPack({ intent: 'agency', kinds: ['reflection'] });
+  assert.ok(reflectionPack.memory_slices.length > 0);
+  assert.ok(reflectionPack.memory_slices.every(slice => slice.envelope.kind === 'reflection'), 'kinds filter applies');
+  const tightPack = await mlp.generateContextPack({
+    intent: 'development_session',
+    memoryTypes: ['semantic', 'reflection', 'episodic'],
+    maxTokens: 20
+  });
+  const overflow = tightPack.memory_slices.filter(slice => slice.access_level === 'metadata_only');
+  assert.ok(overflow.length > 0, 'memories over the token budget are kept as metadata_only');
+  assert.ok(overflow.every(slice => !slice.decrypted_content), 'metadata_only slices carry no content');
+  assert.ok(tightPack.compilation_trace.total_tokens <= 20);
+  console.log(`   ✓ Ordered by relevance: ${scores.map(score => score.toFixed(2)).join(' ≥ ')}`);
+  console.log(`   Over a 20-token budget: ${overflow.length} metadata_only`);
+
+  // 6b. Query envelope index
+  console.log('\n6b. Querying envelope index...');
+  const indexed = mlp.queryIndex({ kinds: ['reflection'], tags: ['agency'] });
+  assert.deepEqual(indexed.map(entry => entry.envelope_id), [memory2.envelope_id]);
+
+  console.log(`   ✓ Reflections tagged 'agency': ${indexed.length}`);
+
   // 7. Load a memory back
   console.log('\n7. Loading memory back...');
+  const loaded = await mlp.load(memory1.envelope_cid);
+  assert.equal(loaded.content.summary, 'Built MLP storage layer');
+  assert.equal(loaded.verified, true);
+  assert.equal(loaded.envelope.attestations[0].public_key, mlp.identity.public_key);
+  assert.equal(mlp.listAttesters().length, 1);
+  console.log(`   ✓ Loaded: ${loaded.content.summary}`);
+  console.log(`   Verified: ${loaded.verified}`);
+  console.log(`   Public key embedded: ${Boolean(loaded.envelope.attestations[0].public_key)}`);
+  console.log(`   Trusted attesters: ${mlp.listAttesters().length}`);
+  const storedBlob = await mlp.storage.retrieve(memory1.blob_cid);
+  assert.equal(storedBlob.encryption_suite_id, mlp.encryption.suite);
+  assert.ok(storedBlob.key_id.startsWith('dk_') && storedBlob.aad, 'blob names its data key and is bound to its envelope');
+  assert.equal(JSON.stringify(storedBlob).includes('Built MLP storage layer'), false);
+  console.log(`   Blob suite: ${storedBlob.encryption_suite_id}`);
+
+  // 7a. Update a memory
+  console.log('\n7a. Updating a memory...');
+  const updated = await mlp.update(memory1.envelope_cid, {
+    summary: 'Built MLP storage layer with envelope index',
+    details: 'Implemented identity kernel, envelopes, context packs, index'
+  });
+  const reloaded = await mlp.load(memory1.envelope_cid);
+  assert.equal(updated.supersedes, memory1.envelope_id);
+  assert.equal(reloaded.envelope.envelope_id, updated.envelope_id, 'load resolves to the latest version');
+  assert.equal(reloaded.content.summary, 'Built MLP storage layer with envelope index');
+
+  console.log(`   ✓ Child: ${updated.envelope_id.slice(0, 8)}... supersedes ${updated.supersedes.slice(0, 8)}...`);
+  console.log(`   Load resolves to latest: ${reloaded.envelope.envelope_id === updated.envelope_id}`);
+
+  const lineage = mlp.getLineage(updated.envelope_id);
+  assert.deepEqual(lineage.ancestors.map(ancestor => ancestor.envelope_id), [memory1.envelope_id]);
+  assert.equal(lineage.head, updated.envelope_id);
+  assert.deepEqual([lineage.cycles.length, lineage.dangling.length], [0, 0]);
+  console.log(`   Lineage: ${lineage.ancestors.length} ancestor(s), head is child: ${lineage.head === updated.envelope_id}`);
+
+  // 7b. Revoke a memory
+  console.log('\n7b. Revoking a memory...');
+  const revocation = await mlp.revoke(memory3.envelope_cid, 'content_correction');
+  const revokedLoad = await mlp.load(memory3.envelope_cid);
+  assert.equal(revokedLoad.revoked, true);
+  assert.equal(revokedLoad.content, null, 'revoked memories are not decrypted');
+
+  console.log(`   ✓ Tombstone: ${revocation.tombstone_id.slice(0, 8)}...`);
+  console.log(`   Load reports revoked: ${revokedLoad.revoked === true}`);
+  const packAfterRevoke = await mlp.generateContextPack({
+    intent: 'development_session',
+    memoryTypes: ['semantic', 'reflection', 'episodic']
+  });
+  assert.equal(packAfterRevoke.compilation_trace.memories_revoked, 1);
+  assert.ok(packAfterRevoke.memory_slices.every(slice => slice.envelope.envelope_id !== memory3.envelope_id));
+  console.log(`   Memories revoked in pack: ${packAfterRevoke.compilation_trace.memories_revoked}`);
+
+  // 7c. Crypto-shred a memory
+  console.log('\n7c. Crypto-shredding a memory...');
+  const secret = await mlp.store({ note: 'temporary secret' }, { kind: 'episodic', riskClass: 'high' });
+  const shredResult = await mlp.shred(secret.envelope_cid);
+  const shreddedLoad = await mlp.load(secret.envelope_cid);
+  let blobReadable = true;
   try {
-    const loaded = await mlp.load(memory1.envelope_cid);
-    console.log(`   ✓ Loaded: ${loaded.content?.summary || 'OK'}`);
-    console.log(`   Verified: ${loaded.verified}`);
+    await mlp.encryption.decrypt(await mlp.storage.retrieve(secret.blob_cid));
+  } catch {
+    blobReadable = false;
+  }
+  assert.equal(shreddedLoad.revocation?.method, 'crypto_shred');
+  assert.equal(await mlp.encryption.dataKeys.exists(shredResult.key_id), false);
+  assert.equal(blobReadable, false, 'shredded blob must not decrypt');
+  console.log(`   ✓ Destroyed data key: ${shredResult.key_id.slice(0, 11)}...`);
+
+  console.log(`   Load reports shred: ${shreddedLoad.revocation?.method === 'crypto_shred'}`);
+  console.log(`   Blob still readable: ${blobReadable}`);
+
+  // 7d. Rotate master key
+  console.log('\n7d. Rotating master key...');
+  const rotation = await mlp.rotateKey();
+  const afterRotation = await mlp.load(memory2.envelope_cid);
+  assert.equal(rotation.key_id, 'mk_v2');
+  assert.ok(rotation.completed_at && rotation.failures.length === 0, 'rotation completes without failures');
+  assert.equal(afterRotation.content.insight, 'Portability matters - identity should travel with the agent');
+  assert.deepEqual(await mlp.purgeRetiredKeys(), ['mk_v1']);
+  assert.equal((await mlp.load(memory2.envelope_cid)).content.insight, afterRotation.content.insight);
+
+  console.log(`   ✓ Current key: ${rotation.key_id} (re-wrapped ${rotation.data_keys_rewrapped} data keys)`);
+  console.log(`   Memory readable after rotation: ${afterRotation.content?.insight !== undefined}`);
+
+  // 7e. Canonical signatures
+  console.log('\n7e. Checking canonical signatures...');
+  const signed = await mlp.encryption.sign({ b: 1, a: { d: 2, c: 3 } });
+  const reordered = await mlp.encryption.verify(
+    { a: { c: 3, d: 2 }, b: 1 }, signed, await mlp.encryption.getPublicKey()
+  );
+  const migration = await mlp.migrateSignatures();
+  assert.equal(reordered, true, 'signatures are independent of key order');
+  assert.equal(migration.migrated.length, 0, 'signatures written by this version need no migration');
+
+  console.log(`   ✓ Key order independent: ${reordered}`);
+  console.log(`   Legacy signatures migrated: ${migration.migrated.length}/${migration.checked}`);
+
+  // 7f. Witness co-signing
+  console.log('\n7f. Collecting witness signatures...');
+  const witness = await LocalWitness.create(mlp.encryption);
+  await mlp.trustAttester(witness.kernel_id, witness.public_key, { attesterType: 'witness' });
+  const request = await mlp.requestWitness(memory2.envelope_cid);
+  const witnessed = await mlp.attachWitness(await witness.sign(request, mlp.encryption));
+  assert.equal(witnessed.quorum.counts.WITNESS_SIGNED, 1);
+  assert.equal(witnessed.verified, true);
+
+  await mlp.config.update({ attestation: { quorum: { high: { WITNESS_SIGNED: 2 } } } });
+  const incident = await mlp.store({ incident: 'Leaked staging token' }, { riskClass: 'high' });
+  const secondWitness = await LocalWitness.create(mlp.encryption);
+  const strangerWitness = await LocalWitness.create(mlp.encryption);
+  await mlp.trustAttester(secondWitness.kernel_id, secondWitness.public_key, { attesterType: 'witness' });
+  await mlp.attachWitness(await witness.sign(await mlp.requestWitness(incident.envelope_cid), mlp.encryption));
+  const withStranger = await mlp.attachWitness(await strangerWitness.sign(await mlp.requestWitness(incident.envelope_id), mlp.encryption));
+  assert.deepEqual(withStranger.quorum.missing, { WITNESS_SIGNED: 1 }, 'untrusted witnesses do not count');
+  assert.equal((await mlp.load(withStranger.envelope_cid)).verification.attestations.trusted, true, 'an untrusted extra attestation does not discredit the author');
+  const quorate = await mlp.attachWitness(await secondWitness.sign(await mlp.requestWitness(incident.envelope_id), mlp.encryption));
+  assert.equal(quorate.quorum.met, true);
+  assert.equal(quorate.verified, true, 'two trusted witnesses meet the high-risk quorum');
+  await mlp.config.update({ attestation: { quorum: { high: {} } } });
+
+  console.log(`   ✓ Witness attached: ${witnessed.quorum.counts.WITNESS_SIGNED || 0} WITNESS_SIGNED`);
+  console.log(`   Verified: ${witnessed.verified}`);
+
+  // 7g. Host countersignature
+  console.log('\n7g. Countersigning as host...');
+  await mlp.config.update({ host: { enabled: true, name: 'test-host' } });
+  await mlp.init();
+  await mlp.countersign(memory2.envelope_cid);
+  const observed = await mlp.load(memory2.envelope_cid);
+  assert.deepEqual(observed.verification.levels, ['SELF_SIGNED', 'WITNESS_SIGNED', 'HOST_SIGNED']);
+
+  console.log(`   ✓ Host: ${mlp.host.name} (${mlp.host.host_id.slice(0, 13)}...)`);
+  console.log(`   Levels: ${observed.verification.levels.join(', ')}`);
+
+  // 7h. Derivatives
+  console.log('\n7h. Deriving a redacted memory...');
+  const derivative = await mlp.derive(memory2.envelope_cid, 'REDACTED_DERIVATIVE', null, {
+    redact: ['insight']
+  });
+  const derivedLoad = await mlp.load(derivative.envelope_cid);
+  let leakBlocked = false;
+  try {
+    await mlp.derive(memory2.envelope_cid, 'SUMMARY_DERIVATIVE', (content) => ({
+      summary: `Reflected that ${content.insight}`
+    }), { redact: ['insight'] });
   } catch (err) {
-    console.log(`   ⚠ Load test skipped (CID format): ${err.message}`);
+    leakBlocked = err.code === 'DERIVATION_LEAK';
   }
+  assert.equal(derivedLoad.content.insight, '[REDACTED]');
+  assert.equal(derivedLoad.content.reflection, 'The protocol enables sovereign memory for agents');
+  assert.deepEqual(derivedLoad.envelope.lineage.parents, [memory2.envelope_id]);
+  assert.equal(leakBlocked, true, 'summaries that repeat redacted text are rejected');
+  console.log(`   ✓ ${derivative.kind}: ${derivedLoad.content.insight}`);
+
+  console.log(`   Derived from source: ${derivedLoad.envelope.lineage.parents[0] === memory2.envelope_id}`);
+  console.log(`   Leaking summary blocked: ${leakBlocked}`);
+
+  // 7i. Access policies on reads
+  console.log('\n7i. Enforcing access policies...');
+  const guarded = await mlp.store(
+    { insight: 'Private insight', topic: 'access control' },
+    {
+      kind: 'semantic',
+      policy: AccessPolicy.createShared(mlp.identity.kernel_id, ['reviewer'], ['read'])
+        .enableRedaction(['insight'])
+    }
+  );
+  const asReviewer = await mlp.load(guarded.envelope_cid, { principal: 'reviewer' });
+  const asStranger = await mlp.load(guarded.envelope_cid, { principal: 'stranger' });
+  const strangerPack = await mlp.generateContextPack({ intent: 'access control', principal: 'stranger' });
+  assert.equal(asReviewer.access.level, 'redacted');
+  assert.equal(asReviewer.content.insight, '[REDACTED]');
+  assert.equal(asStranger.denied, true);
+  assert.equal(asStranger.content, null, 'denied loads carry no content');
+  assert.ok(strangerPack.compilation_trace.denials.some(denial => denial.envelope_id === guarded.envelope_id));
+  assert.ok(strangerPack.memory_slices.every(slice => !slice.decrypted_content), 'a stranger gets no content');
+  const unpolicedAsStranger = await mlp.load(memory1.envelope_cid, { principal: 'stranger' });
+  assert.equal(unpolicedAsStranger.denied, true, 'memories without a policy are owner-only');
+  assert.equal((await mlp.load(memory1.envelope_cid)).denied, undefined);
+  console.log(`   ✓ Reviewer sees: ${asReviewer.access.level} (${asReviewer.content.insight})`);
+
+  console.log(`   Stranger denied: ${asStranger.denied === true}`);
+  console.log(`   Pack denials: ${strangerPack.compilation_trace.denials.length}`);
+
+  // 7j. Policy storage
+  console.log('\n7j. Updating a stored policy...');
+  const guardedPolicyRef = (await mlp.load(guarded.envelope_cid)).envelope.access_policy_ref;
+  assert.match(guardedPolicyRef, /^urn:uuid:/, 'envelopes reference policies by URI');
+  const guardedPolicyId = policyIdOf(guardedPolicyRef);
+  const policyUpdate = await mlp.updatePolicy(guardedPolicyId, (policy) => policy.grant('stranger', 'read'));
+  const asGranted = await mlp.load(guarded.envelope_cid, { principal: 'stranger' });
+  assert.equal(asGranted.access.level, 'redacted', 'the updated policy applies to existing memories');
+  assert.equal(mlp.listPolicies().length, 1);
+  assert.ok(policyUpdate.policy.signature, 'stored policy versions are signed');
+
+  console.log(`   ✓ Policy ${guardedPolicyId.slice(0, 8)}... now at ${policyUpdate.policy_cid.slice(0, 16)}...`);
+  console.log(`   Stranger after grant: ${asGranted.access.level}`);
+  assert.equal(AccessPolicy.fromJSON(policyUpdate.policy).validate().valid, true);
+  const flatPolicy = AccessPolicy.fromJSON({
+    owner_id: mlp.identity.kernel_id,
+    principals: [mlp.identity.kernel_id, 'reviewer'],
+    permissions: { read: [mlp.identity.kernel_id, 'reviewer'] },
+    redaction: { enabled: true, fields_to_redact: ['insight'], redaction_pattern: '[REDACTED]' }
+  });
+  assert.equal(flatPolicy.validate().valid, true, 'flat policies convert to the schema shape');
+  assert.deepEqual(flatPolicy.constraints.redaction_rules.map(rule => rule.field), ['insight']);
+  console.log(`   Matches schema: ${AccessPolicy.fromJSON(policyUpdate.policy).validate().valid}`);
+
+  console.log(`   Stored policies: ${mlp.listPolicies().length}`);
+
+  const { signature: policySignature, ...unsignedPolicy } = policyUpdate.policy;
+  const forged = AccessPolicy.fromJSON({ ...unsignedPolicy, constraints: { ...unsignedPolicy.constraints, redaction_rules: [] } });
+  await mlp.policies.record(forged, await mlp.storage.store(forged.toJSON()));
+  const asForged = await mlp.load(guarded.envelope_cid, { principal: 'stranger' });
+  assert.equal(asForged.denied, true, 'an unsigned policy version is not trusted');
+  const flatForgery = { policy_id: guardedPolicyId, principals: ['stranger'], permissions: { read: ['stranger'] } };
+  await mlp.policies.record(AccessPolicy.fromJSON(flatForgery), await mlp.storage.storeLocal(JSON.stringify(flatForgery)));
+  mlp.storage.validation = 'off';
+  const asFlatForged = await mlp.load(guarded.envelope_cid, { principal: 'stranger' });
+  mlp.storage.validation = mlp.config.validation.mode;
+  assert.equal(asFlatForged.denied, true, 'an unsigned flat policy is not trusted either');
+  await mlp.policies.record(AccessPolicy.fromJSON(policyUpdate.policy), policyUpdate.policy_cid);
+  console.log(`   Unsigned policy version denied: ${asForged.denied === true}`);
+
+  // 7k. Policy layers
+  console.log('\n7k. Resolving policy layers...');
+  await mlp.createPolicy(
+    { constraints: { redaction_rules: [{ field: 'topic', action: 'generalize' }] } },
+    { layer: 'system_safety' }
+  );
+  const explained = await mlp.explainAccess(guarded.envelope_id, { principal: 'reviewer' });
+  const asOwner = await mlp.load(guarded.envelope_cid);
+  await mlp.config.update({ access: { system_policy: null } });
+  assert.equal(explained.decided_by, 'system_safety');
+  assert.deepEqual(explained.decisions.map(decision => decision.layer), ['system_safety', 'shared_consent']);
+  assert.equal(asOwner.content.topic, '[TOPIC]', 'the system layer also binds the owner');
+
+  console.log(`   ✓ Decided by: ${explained.decided_by} (${explained.level})`);
+  console.log(`   Layers: ${explained.decisions.map(d => `${d.layer}=${d.level}`).join(', ')}`);
+  console.log(`   Owner sees topic as: ${asOwner.content.topic}`);
+
+  // 7l. Retrieval limits
+  console.log('\n7l. Burning a memory after one read...');
+  const burnable = await mlp.store({ insight: 'Read once' }, {
+    policy: AccessPolicy.createShared(mlp.identity.kernel_id, ['reviewer']).limitRetrievals(1)
+  });
+  const firstRead = await mlp.load(burnable.envelope_cid, { principal: 'reviewer' });
+  const secondRead = await mlp.load(burnable.envelope_cid, { principal: 'reviewer' });
+  assert.equal(firstRead.content.insight, 'Read once');
+  assert.equal(firstRead.access.remaining_retrievals, 0);
+  assert.equal(secondRead.denied, true);
+  await mlp.createPolicy({ constraints: { max_retrievals: 1 } }, { layer: 'agent_constraints' });
+  await mlp.derive(burnable.envelope_cid, 'SUMMARY_DERIVATIVE', { summary: 'A one-time note' });
+  const ownerRead = await mlp.load(burnable.envelope_cid);
+  await mlp.config.update({ access: { agent_policy: null } });
+  assert.equal(ownerRead.content.insight, 'Read once', 'deriving does not spend the owner\'s reads');
+  assert.equal(ownerRead.access.remaining_retrievals, 0);
+
+  console.log(`   ✓ First read: ${firstRead.content.insight} (${firstRead.access.remaining_retrievals} left)`);
+  console.log(`   Second read denied: ${secondRead.denied === true}`);
+
+  // 7m. Deep redaction
+  console.log('\n7m. Redacting inside text and nested fields...');
+  const piiPolicy = AccessPolicy.createShared(mlp.identity.kernel_id, ['reviewer'])
+    .addRedactionRule({ detector: 'names', names: ['Alice'] })
+    .addRedactionRule({ detector: 'regex', regex: '\\b(anxious|calm)\\b', label: 'emotion', action: 'generalize' })
+    .addRedactionRule({ path: 'contacts[*].email' });
+  const diary = await mlp.store('Alice said they were feeling anxious', { policy: piiPolicy });
+  const contacts = await mlp.store({ contacts: [{ name: 'Alice', email: 'alice@example.com' }] }, { policy: piiPolicy.policy_id });
+  const diaryRead = await mlp.load(diary.envelope_cid, { principal: 'reviewer' });
+  const contactsRead = await mlp.load(contacts.envelope_cid, { principal: 'reviewer' });
+  assert.equal(diaryRead.content, '[REDACTED] said they were feeling [EMOTION]');
+  assert.deepEqual(contactsRead.content, { contacts: [{ name: '[REDACTED]', email: '[REDACTED]' }] });
+  console.log(`   ✓ Text: ${diaryRead.content}`);
+
+  console.log(`   ✓ Nested: ${JSON.stringify(contactsRead.content)}`);
+
+  // 7n. Sharing with another agent
+  console.log('\n7n. Sharing a project memory with a teammate...');
+  const teammate = new MLP(join(testHome, 'test-config-teammate.yaml'));
+  await teammate.config.load();
+  await teammate.config.update({
+    storage: { index_path: '~/.config/mlp-teammate/index.json' },
+    identity: {
+      kernel_path: '~/.config/mlp-teammate/identity-kernel.json',
+      trust_store_path: '~/.config/mlp-teammate/trust-store.json'
+    },
+    encryption: { key_path: '~/.config/mlp-teammate/keys' },
+    access: {
+      policy_index_path: '~/.config/mlp-teammate/policies.json',
+      retrieval_counts_path: '~/.config/mlp-teammate/retrievals.json',
+      key_grants_path: '~/.config/mlp-teammate/key-grants.json'
+    },
+    ledger: { path: '~/.config/mlp-teammate/ledger.jsonl' }
+  });
+  await teammate.init();
+  await teammate.trustAttester(mlp.identity.kernel_id, mlp.identity.public_key);
+
+  const project = await mlp.createPolicy({});
+  const plan = await mlp.store({ decision: 'Ship the ledger in v0.3' }, { policy: project.policy_id });
+  const { shares } = await mlp.addReader(project.policy_id, {
+    principal_id: teammate.identity.kernel_id,
+    public_key: await teammate.getEncryptionPublicKey()
+  });
+  for (const share of shares) await teammate.acceptShare(share);
+  const teammateRead = await teammate.load(plan.envelope_cid);
+  assert.equal(teammateRead.content.decision, 'Ship the ledger in v0.3');
+
+  console.log(`   ✓ Teammate reads: ${teammateRead.content.decision}`);
+
+  const readerTombstone = await teammate.revoke(plan.envelope_cid);
+  assert.notEqual((await teammate.load(plan.envelope_cid)).revoked, true, 'readers cannot revoke');
+  await mlp.trustAttester(teammate.identity.kernel_id, teammate.identity.public_key);
+  await mlp.index.add(readerTombstone.tombstone_cid, MemoryEnvelope.fromJSON(await mlp.storage.retrieve(readerTombstone.tombstone_cid)));
+  assert.notEqual((await mlp.load(plan.envelope_cid)).revoked, true, 'a trusted key alone cannot revoke');
+  console.log('   Reader tombstone ignored: true');
+
+  const readerUpdate = await teammate.update(plan.envelope_cid, { decision: 'Ship nothing' });
+  assert.equal((await teammate.load(plan.envelope_cid)).content.decision, 'Ship the ledger in v0.3', 'readers cannot update');
+  await mlp.index.add(readerUpdate.envelope_cid, MemoryEnvelope.fromJSON(await mlp.storage.retrieve(readerUpdate.envelope_cid)));
+  assert.equal((await mlp.load(plan.envelope_cid)).resolved_from, undefined, 'a trusted key alone cannot update');
+  console.log('   Reader update ignored: true');
+
+  const { rotated } = await mlp.removeReader(project.policy_id, teammate.identity.kernel_id);
+  assert.equal(rotated[0].share, null, 'no grant is issued to the removed reader');
+  await assert.rejects(
+    teammate.load(rotated[0].envelope_cid),
+    { code: 'DATA_KEY_MISSING', message: new RegExp(`^Data key ${rotated[0].key_id} not found`) },
+    'removed readers cannot read the rotated version'
+  );
+  const originalKey = (await mlp.storage.retrieve(plan.blob_cid)).key_id;
+  assert.notEqual(rotated[0].key_id, originalKey);
+
+  console.log(`   Data key rotated: ${rotated[0].key_id !== originalKey}`);
+  console.log('   Teammate reads rotated version: false');
+
+  const sharedNote = await mlp.store({ note: 'Shared, then shredded' }, { policy: project.policy_id });
+  await mlp.addReader(project.policy_id, {
+    principal_id: teammate.identity.kernel_id,
+    public_key: await teammate.getEncryptionPublicKey()
+  });
+  const noteGrant = mlp.keyGrants.get(sharedNote.envelope_id);
+  const noteShred = await mlp.shred(sharedNote.envelope_cid);
+  assert.deepEqual(noteShred.shared_with, [teammate.identity.kernel_id]);
+  assert.equal(noteShred.key_grants_deleted, noteGrant.history.length + 1);
+  await assert.rejects(mlp.storage.retrieve(noteGrant.cid), { code: 'ENOENT' }, 'wrapped keys are deleted with the grant');
+  console.log(`   Shredding a shared memory deleted ${noteShred.key_grants_deleted} key grant(s)`);
+
+  // 7o. Schema validation
+  console.log('\n7o. Validating objects against the schemas...');
+  const storedEnvelope = await mlp.storage.retrieve(plan.envelope_cid);
+  const envelopeCheck = MLP.validate(storedEnvelope);
+  const packCheck = MLP.validate(contextPack);
+  const broken = MLP.validate({ ...storedEnvelope, lineage: { ...storedEnvelope.lineage, parents: 'none' }, mood: 'curious' });
+  const brokenLenient = MLP.validate({ ...storedEnvelope, mood: 'curious' }, { mode: 'lenient' });
+  assert.deepEqual([envelopeCheck.errors, packCheck.errors], [[], []]);
+  assert.deepEqual(broken.errors.map(error => error.path), ['lineage.parents', 'mood']);
+  assert.equal(brokenLenient.valid, true);
+  assert.equal(brokenLenient.warnings.length, 1);
+  const [tombstoneEntry] = mlp.queryIndex({ kinds: ['tombstone'] });
+  const diaryPack = await mlp.generateContextPack({ intent: 'Alice feeling', kinds: ['semantic'], maxMemories: 50 });
+  const diarySlice = diaryPack.memory_slices.find(slice => slice.envelope.envelope_id === diary.envelope_id);
+  const strictChecks = {
+    tombstone: MLP.validate(await mlp.storage.retrieve(tombstoneEntry.envelope_cid)),
+    kernel: MLP.validate(mlp.identity.toJSON()),
+    tightPack: MLP.validate(tightPack),
+    diaryPack: MLP.validate(diaryPack)
+  };
+  for (const [name, check] of Object.entries(strictChecks)) {
+    assert.deepEqual(check.errors, [], `${name} is valid in strict mode`);
+  }
+  for (const name of await readdir(new URL('./schemas/', import.meta.url))) {
+    const rootCopy = await readFile(new URL(`../schemas/${name}`, import.meta.url), 'utf8').catch(() => null);
+    if (rootCopy === null) continue;
+    assert.equal(rootCopy, await readFile(new URL(`./schemas/${name}`, import.meta.url), 'utf8'), `schemas/${name} matches mlp-storage/schemas`);
+  }
+  assert.deepEqual(diarySlice.decrypted_content, { value: 'Alice said they were feeling anxious' }, 'string content is wrapped as an object');
+
+  console.log(`   ✓ Envelope valid: ${envelopeCheck.valid}, pack valid: ${packCheck.valid}`);
+  console.log(`   Strict errors: ${broken.errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+  console.log(`   Lenient: valid ${brokenLenient.valid}, ${brokenLenient.warnings.length} warning(s)`);
+
+  // 7p. Versions and extension fields
+  console.log('\n7p. Checking versions and keeping extension fields...');
+  const extended = MemoryEnvelope.fromJSON({ ...storedEnvelope, attestations: [], x_app: { pinned: true } });
+  await extended.sign(mlp.identity, mlp.encryption);
+  const reread = MemoryEnvelope.fromJSON(JSON.parse(JSON.stringify(extended)));
+  const extendedCheck = await reread.verify(mlp.encryption, mlp.trustStore);
+  const teamPolicy = await mlp.createPolicy({ x_team: 'research' });
+  const updatedTeamPolicy = await mlp.updatePolicy(teamPolicy.policy_id, { constraints: { purpose_limits: ['planning'] } });
+  let versionError = null;
+  try {
+    MemoryEnvelope.fromJSON({ ...storedEnvelope, mlp_version: '9.0' });
+  } catch (err) {
+    versionError = err.code;
+  }
+  assert.deepEqual(reread.toJSON().x_app, { pinned: true });
+  assert.equal(extendedCheck.valid, true, 'extension fields are covered by the signature');
+  assert.equal((await mlp.storage.retrieve(updatedTeamPolicy.policy_cid)).x_team, 'research');
+  assert.equal(versionError, 'UNSUPPORTED_VERSION');
+  const strictStorage = new Storage(mlp.config.storage, { validation: 'strict' });
+  const strictReread = MemoryEnvelope.fromJSON(await strictStorage.retrieve(await strictStorage.store(reread.toJSON())));
+  assert.deepEqual(strictReread.toJSON().x_app, { pinned: true }, 'extensions round-trip through strict storage');
+  assert.equal((await strictStorage.retrieve(updatedTeamPolicy.policy_cid)).x_team, 'research');
+  assert.equal(MLP.validate(reread.toJSON(), { extensions: true }).valid, true);
+  assert.deepEqual(MLP.validate(reread.toJSON()).errors.map(error => error.path), ['x_app'], 'MLP.validate reports extensions by default');
+  console.log(`   ✓ Envelope extension kept: ${JSON.stringify(reread.toJSON().x_app)}, signature valid: ${extendedCheck.valid}`);
+
+  console.log(`   Policy extension after update: ${(await mlp.storage.retrieve(updatedTeamPolicy.policy_cid)).x_team}`);
+  console.log(`   mlp_version 9.0 rejected: ${versionError}`);
+
+  // 7q. Ledger
+  console.log('\n7q. Checking the ledger...');
+  const ledgerPath = mlp.config.getExpandedPaths().ledger;
+  const tombstones = mlp.queryLedger({ entry_type: 'tombstone' });
+  const latest = mlp.queryLedger({ from: mlp.ledger.length - 1 });
+  assert.equal((await mlp.verifyLedger()).valid, true);
+  assert.equal(tombstones.length, 3, 'the revocation and both shreds are recorded');
+
+  assert.equal(latest[1].prev_hash, latest[0].entry_hash);
+
+  console.log(`   ✓ Entries: ${mlp.ledger.length}, tombstones: ${tombstones.length}, chain valid: ${(await mlp.verifyLedger()).valid}`);
+  console.log(`   Latest: #${latest[1].sequence} links to #${latest[0].sequence}: ${latest[1].prev_hash === latest[0].entry_hash}`);
+  const ledgerFile = await readFile(ledgerPath, 'utf8');
+  await writeFile(ledgerPath, ledgerFile.replace('"kind":"semantic"', '"kind":"reflection"'));
+  const tampered = await mlp.verifyLedger();
+  console.log(`   Edited entry detected: ${!tampered.valid} (#${tampered.broken_at}: ${tampered.reason})`);
+  assert.deepEqual([tampered.valid, tampered.broken_at], [false, 1]);
+  await assert.rejects(mlp.store({ note: 'after tampering' }), { code: 'LEDGER_TAMPERED' });
+  const tamperedStatus = await mlp.status();
+  assert.equal(tamperedStatus.read_only, true, 'a broken ledger makes status read-only');
+  assert.deepEqual([tamperedStatus.ledger.valid, tamperedStatus.ledger.broken_at], [false, 1]);
+  assert.match(tamperedStatus.ledger.reason, /entry_hash/);
+  await writeFile(ledgerPath, ledgerFile);
+  assert.equal((await mlp.verifyLedger()).valid, true);
 
   // 8. Export identity
   console.log('\n8. Exporting identity...');
-  const exportPath = join(__dirname, 'test-identity-export.json');
+  const exportPath = join(testHome, 'test-identity-export.json');
   await mlp.exportIdentity(exportPath);
   console.log(`   ✓ Exported to: test-identity-export.json`);
+  const { signature: kernelSignature, ...strippedKernelData } = mlp.identity.toJSON();
+  const strippedImportPath = join(testHome, 'stripped-kernel.json');
+  await writeFile(strippedImportPath, JSON.stringify(strippedKernelData));
+  await assert.rejects(mlp.importIdentity(strippedImportPath), { code: 'KERNEL_UNVERIFIED' });
+  assert.equal((await mlp.importIdentity(exportPath)).kernel_id, mlp.identity.kernel_id);
+  assert.equal(mlp.kernelVerification.status, 'valid');
 
   // 9. Status check
   console.log('\n9. Final status...');
   const status = await mlp.status();
+  assert.equal(status.read_only, false);
+  assert.equal(status.ledger.valid, true);
+  assert.equal(status.ledger.broken_at, undefined);
   console.log(`   Initialized: ${status.initialized}`);
   console.log(`   Storage connected: ${status.storage.connected}`);
   console.log(`   Keys exist: ${status.encryption.keys_exist}`);
 
+  // 10. Upgrade a store written by the baseline release
+  console.log('\n10. Opening a baseline store...');
+  const baseline = await openBaselineStore();
+  const { semantic, reflection } = baseline.fixture.memories;
+  for (const { blob_cid } of [semantic, reflection]) {
+    const legacyBlob = await baseline.mlp.storage.retrieve(blob_cid);
+    assert.equal(legacyBlob.encryption_suite_id, undefined, 'fixture blobs are in the pre-spec format');
+  }
+  assert.deepEqual(
+    [baseline.mlp.kernelVerification.status, baseline.mlp.kernelVerification.action],
+    ['unsigned', 'sign'],
+    'a kernel from before signing is signed on first init'
+  );
+  const legacyLoad = await baseline.mlp.load(semantic.envelope_cid);
+  assert.equal(legacyLoad.content.summary, 'Baseline semantic memory');
+  const hostKeypair = await baseline.mlp.encryption.getHostSigningKeypair();
+  assert.notEqual(baseline.mlp.identity.public_key, Buffer.from(hostKeypair.publicKey).toString('base64'), 'the kernel moves off the shared host key');
+  assert.equal(baseline.mlp.trustStore.get(baseline.mlp.identity.kernel_id).legacy_keys.length, 1);
+  assert.equal(legacyLoad.verified, true, 'signatures made with the host key still verify');
+  const baselinePack = await baseline.mlp.generateContextPack({ intent: 'migration', kinds: ['semantic', 'reflection'] });
+  assert.equal(baselinePack.compilation_trace.memories_included, 2, 'pre-upgrade memories are packed');
+  const baselineRotation = await baseline.mlp.rotateKey();
+  assert.deepEqual(baselineRotation.failures, []);
+  assert.equal(baselineRotation.blobs_reencrypted, 2);
+  const rotatedLegacy = await baseline.mlp.load(reflection.envelope_cid);
+  assert.equal(rotatedLegacy.content.insight, 'Old blobs must keep decrypting');
+  const semanticId = baseline.mlp.index.getByCid(semantic.envelope_cid).envelope_id;
+  await assert.rejects(baseline.mlp.purgeRetiredKeys(), (err) =>
+    err.code === 'KEYS_IN_USE' && err.envelopes.includes(semanticId), 'superseded versions keep the retired key alive');
+  console.log(`   ✓ Legacy blobs retrieved and re-encrypted: ${baselineRotation.blobs_reencrypted}`);
+  console.log(`   Pre-upgrade memories in pack: ${baselinePack.compilation_trace.memories_included}`);
+
+  // A signed kernel whose signature is stripped is tampered, not legacy
+  const kernelPath = baseline.mlp.config.getExpandedPaths().identity;
+  const { signature, ...stripped } = JSON.parse(await readFile(kernelPath, 'utf8'));
+  await writeFile(kernelPath, JSON.stringify({
+    ...stripped,
+    threat_posture: { ...stripped.threat_posture, anti_poisoning_strictness: 'low' }
+  }, null, 2));
+  const strippedKernel = new MLP();
+  await strippedKernel.init();
+  assert.deepEqual([strippedKernel.kernelVerification.status, strippedKernel.kernelVerification.action], ['invalid', 'read_only']);
+  await assert.rejects(strippedKernel.store({ note: 'blocked' }), { code: 'KERNEL_READ_ONLY' });
+  await assert.rejects(strippedKernel.revokeAttester(strippedKernel.identity.kernel_id), { code: 'KERNEL_READ_ONLY' });
+  await assert.rejects(strippedKernel.importIdentity(exportPath), { code: 'KERNEL_READ_ONLY' });
+  assert.equal(strippedKernel.kernelVerification.action, 'read_only', 'a refused import keeps the verdict');
+  await strippedKernel.config.update({ identity: { kernel_strictness: 'high' } });
+  await assert.rejects(new MLP().init(), { code: 'KERNEL_UNVERIFIED' });
+  await strippedKernel.config.update({ identity: { kernel_strictness: 'medium' } });
+  const { public_key: strippedPublicKey, ...keyless } = JSON.parse(await readFile(kernelPath, 'utf8'));
+  await writeFile(kernelPath, JSON.stringify(keyless, null, 2));
+  await rm(IdentityKernel.signingKeyPath(kernelPath));
+  const keylessKernel = new MLP();
+  await keylessKernel.init();
+  assert.equal(keylessKernel.kernelVerification.status, 'invalid', 'deleting the key material does not make a kernel legacy');
+  console.log(`   Stripped kernel signature: ${strippedKernel.kernelVerification.status} (${strippedKernel.kernelVerification.action})`);
+
   // Summary
   console.log('\n═══════════════════════════════════════════');
   console.log('  Test Complete');
@@ -136,4 +667,28 @@ async function test() {
   `);
 }
 
-test().catch(console.error);
+/**
+ * Write fixtures/baseline-store.json (a ~/.config/mlp as the baseline
+ * release left it) into its own HOME and open it with the default config
+ */
+async function openBaselineStore() {
+  const fixture = JSON.parse(await readFile(new URL('./fixtures/baseline-store.json', import.meta.url), 'utf8'));
+  process.env.HOME = join(testHome, 'baseline');
+
+  for (const [path, content] of Object.entries(fixture.files)) {
+    const file = join(process.env.HOME, '.config/mlp', path);
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, content);
+  }
+
+  const mlp = new MLP();
+  await mlp.init();
+  return { mlp, fixture };
+}
+
+test()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => rm(testHome, { recursive: true, force: true }));